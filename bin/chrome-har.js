@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const glob = require('glob');
+const { name, version } = require('../package');
+const parser = require('..');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+const usage = `Usage: ${name} [options] [file|glob ...]
+
+Create HAR files from Chrome DevTools Protocol messages or Chrome traces.
+Messages are read from stdin if no files are given.
+
+Options:
+  -o, --output <file>         Write the HAR to <file>, use - for stdout
+  -d, --output-dir <dir>      Write one <name>.har per input file to <dir>
+  --include-cache             Include requests served from the disk cache
+  --include-bodies            Include response bodies
+  --max-body-size <bytes>     Truncate response bodies larger than <bytes>
+  --max-total-body-size <bytes>
+                              Remove the response bodies that don't fit in
+                              <bytes> for the whole HAR
+  --include-body-mime-type <type>
+                              Only include bodies of a mime type, e.g.
+                              text/*, can be repeated
+  --exclude-body-mime-type <type>
+                              Don't include bodies of a mime type, e.g.
+                              image/*, can be repeated
+  --include-failed            Include failed and canceled requests
+  --include-security          Include TLS security details
+  --include-chunks            Include when each chunk of the body arrived
+  --include-diagnostics       Include problems found in the messages
+  --max-event-source-messages <n>
+                              Max Server-Sent Events messages per entry
+  --page-strategy <strategy>  When to start a new page, root-frame (default)
+                              or every-navigation
+  --redact-header <name>      Mask the value of a header, can be repeated
+  --redact-cookie <name>      Mask the value of a cookie, can be repeated
+  --redact-param <name>       Mask a query string or post data parameter,
+                              can be repeated
+  --redact-pattern <regex>    Mask text matching a regular expression, can
+                              be repeated
+  --deterministic             Create the same output for the same input
+  --track-cookies             Add where request cookies were set
+  --collapse-redirects        Replace redirect chains with their last request
+  --pretty                    Indent the HAR (default)
+  --compact                   Don't indent the HAR
+  --validate                  Validate the HAR against the HAR 1.2 schema
+  -h, --help                  Show this help
+  -v, --version               Show the version
+`;
+
+class UsageError extends Error {}
+
+function nonNegativeInteger(flag, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(
+      `${flag} must be a non-negative integer, got '${value}'`
+    );
+  }
+  return number;
+}
+
+function addToList(options, name, value) {
+  options.harOptions[name] = (options.harOptions[name] || []).concat(value);
+}
+
+function addRedaction(options, type, value) {
+  const redact = options.harOptions.redact || {};
+  redact[type] = (redact[type] || []).concat(value);
+  options.harOptions.redact = redact;
+}
+
+const flags = {
+  '--include-cache': options => {
+    options.harOptions.includeResourcesFromDiskCache = true;
+  },
+  '--include-bodies': options => {
+    options.harOptions.includeTextFromResponseBody = true;
+  },
+  '--include-failed': options => {
+    options.harOptions.includeFailedRequests = true;
+  },
+  '--include-security': options => {
+    options.harOptions.includeSecurityDetails = true;
+  },
+  '--include-chunks': options => {
+    options.harOptions.includeChunks = true;
+  },
+  '--include-diagnostics': options => {
+    options.harOptions.includeDiagnostics = true;
+  },
+  '--deterministic': options => {
+    options.harOptions.deterministic = true;
+  },
+  '--track-cookies': options => {
+    options.harOptions.trackCookies = true;
+  },
+  '--collapse-redirects': options => {
+    options.harOptions.collapseRedirects = true;
+  },
+  '--pretty': options => {
+    options.pretty = true;
+  },
+  '--compact': options => {
+    options.pretty = false;
+  },
+  '--validate': options => {
+    options.validate = true;
+  },
+  '--help': options => {
+    options.help = true;
+  },
+  '--version': options => {
+    options.version = true;
+  }
+};
+
+const valueFlags = {
+  '--output': (options, value) => {
+    options.output = value;
+  },
+  '--output-dir': (options, value) => {
+    options.outputDir = value;
+  },
+  '--max-event-source-messages': (options, value) => {
+    options.harOptions.maxEventSourceMessages = nonNegativeInteger(
+      '--max-event-source-messages',
+      value
+    );
+  },
+  '--max-body-size': (options, value) => {
+    options.harOptions.maxBodySize = nonNegativeInteger(
+      '--max-body-size',
+      value
+    );
+  },
+  '--max-total-body-size': (options, value) => {
+    options.harOptions.maxTotalBodySize = nonNegativeInteger(
+      '--max-total-body-size',
+      value
+    );
+  },
+  '--include-body-mime-type': (options, value) => {
+    addToList(options, 'includeBodyMimeTypes', value);
+  },
+  '--exclude-body-mime-type': (options, value) => {
+    addToList(options, 'excludeBodyMimeTypes', value);
+  },
+  '--page-strategy': (options, value) => {
+    if (!['root-frame', 'every-navigation'].includes(value)) {
+      throw new UsageError(
+        `--page-strategy must be root-frame or every-navigation, got '${value}'`
+      );
+    }
+    options.harOptions.pageStrategy = value;
+  },
+  '--redact-header': (options, value) => {
+    addRedaction(options, 'headers', value);
+  },
+  '--redact-cookie': (options, value) => {
+    addRedaction(options, 'cookies', value);
+  },
+  '--redact-param': (options, value) => {
+    addRedaction(options, 'params', value);
+  },
+  '--redact-pattern': (options, value) => {
+    let pattern;
+    try {
+      pattern = new RegExp(value);
+    } catch (e) {
+      throw new UsageError(`Invalid --redact-pattern: ${e.message}`);
+    }
+    addRedaction(options, 'patterns', pattern);
+  }
+};
+
+const aliases = {
+  '-o': '--output',
+  '-d': '--output-dir',
+  '-h': '--help',
+  '-v': '--version'
+};
+
+function parseArgs(args) {
+  const options = { harOptions: {}, pretty: true, inputs: [] };
+  for (let i = 0; i < args.length; ++i) {
+    let arg = args[i];
+    let value;
+    if (arg.startsWith('--') && arg.includes('=')) {
+      value = arg.slice(arg.indexOf('=') + 1);
+      arg = arg.slice(0, arg.indexOf('='));
+    }
+    arg = aliases[arg] || arg;
+
+    if (flags[arg] && value === undefined) {
+      flags[arg](options);
+    } else if (valueFlags[arg]) {
+      if (value === undefined) {
+        value = args[++i];
+      }
+      if (value === undefined) {
+        throw new UsageError(`Missing value for ${arg}`);
+      }
+      valueFlags[arg](options, value);
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new UsageError(`Unknown option ${args[i]}`);
+    } else {
+      options.inputs.push(arg);
+    }
+  }
+
+  if (options.output && options.outputDir) {
+    throw new UsageError('Use either --output or --output-dir, not both');
+  }
+  return options;
+}
+
+function expandInputs(inputs) {
+  return inputs.reduce((files, input) => {
+    if (input === '-') {
+      return files.concat(input);
+    }
+    const matches = glob.sync(input, { nodir: true });
+    if (matches.length === 0) {
+      throw new Error(
+        glob.hasMagic(input)
+          ? `No files matching ${input}`
+          : `No such file ${input}`
+      );
+    }
+    return files.concat(matches);
+  }, []);
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', chunk => chunks.push(chunk));
+    process.stdin.on('end', () =>
+      resolve(Buffer.concat(chunks).toString('utf8'))
+    );
+    process.stdin.on('error', reject);
+  });
+}
+
+function outputPath(input, options) {
+  if (options.output) {
+    return options.output;
+  }
+  const harName =
+    input === '-' ? 'stdin.har' : `${path.basename(input, '.json')}.har`;
+  if (options.outputDir) {
+    return path.join(options.outputDir, harName);
+  }
+  // Without any output options, a HAR read from stdin is written to stdout
+  // and HARs from files end up in the current directory.
+  return input === '-' ? '-' : harName;
+}
+
+// Inputs with the same name would overwrite each other's HARs
+function checkOutputPaths(inputs, options) {
+  if (options.output) {
+    return;
+  }
+  const inputsByOutput = new Map();
+  for (const input of inputs) {
+    const output = outputPath(input, options);
+    if (output !== '-' && inputsByOutput.has(output)) {
+      throw new UsageError(
+        `${inputsByOutput.get(
+          output
+        )} and ${input} would both be written to ${output}`
+      );
+    }
+    inputsByOutput.set(output, input);
+  }
+}
+
+function validate(har, input) {
+  // har-validator is only needed when validating, so it's an optional
+  // dependency that is loaded lazily
+  let validator;
+  try {
+    validator = require('har-validator');
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') {
+      throw e;
+    }
+    return Promise.reject(
+      new Error(
+        '--validate needs the har-validator package, install it with npm install har-validator'
+      )
+    );
+  }
+  return validator.har(har).catch(e => {
+    const errors = (e.errors || [])
+      .map(error => `  ${error.dataPath || '/'} ${error.message}`)
+      .join('\n');
+    throw new Error(`Invalid HAR created from ${input}:\n${errors}`);
+  });
+}
+
+function isTrace(json) {
+  // Traces are either { traceEvents: [...] } or a list of trace events
+  if (Array.isArray(json)) {
+    return json.length > 0 && json[0].ph !== undefined && json[0].ts >= 0;
+  }
+  return json !== null && Array.isArray(json.traceEvents);
+}
+
+function convert(input, options) {
+  const read = input === '-' ? readStdin() : readFile(input, 'utf8');
+  const label = input === '-' ? 'stdin' : input;
+  return read
+    .then(text => {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        throw new Error(`Couldn't parse ${label} as JSON: ${e.message}`);
+      }
+    })
+    .then(json => {
+      if (isTrace(json)) {
+        return parser.harFromTrace(json, options.harOptions);
+      }
+      if (!Array.isArray(json)) {
+        throw new Error(`${label} doesn't contain a list of messages`);
+      }
+      return parser.harFromMessages(json, options.harOptions);
+    })
+    .then(
+      har => (options.validate ? validate(har, label).then(() => har) : har)
+    )
+    .then(har => {
+      const json = JSON.stringify(har, null, options.pretty ? 2 : undefined);
+      const output = outputPath(input, options);
+      if (output === '-') {
+        process.stdout.write(`${json}\n`);
+        return;
+      }
+      return writeFile(output, json, 'utf8');
+    });
+}
+
+function run(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (e) {
+    console.error(`${name}: ${e.message}\n\n${usage}`);
+    return Promise.resolve(2);
+  }
+
+  if (options.help) {
+    console.log(usage);
+    return Promise.resolve(0);
+  }
+  if (options.version) {
+    console.log(version);
+    return Promise.resolve(0);
+  }
+
+  return Promise.resolve()
+    .then(() => {
+      const inputs = expandInputs(
+        options.inputs.length > 0 ? options.inputs : ['-']
+      );
+      if (inputs.length > 1 && options.output) {
+        throw new UsageError(
+          `--output can only be used with one input, got ${inputs.length}`
+        );
+      }
+      checkOutputPaths(inputs, options);
+      if (options.outputDir) {
+        fs.mkdirSync(options.outputDir, { recursive: true });
+      }
+      // Convert one file at a time to keep memory usage down
+      return inputs.reduce(
+        (previous, input) => previous.then(() => convert(input, options)),
+        Promise.resolve()
+      );
+    })
+    .then(() => 0)
+    .catch(e => {
+      console.error(`${name}: ${e.message}`);
+      return e instanceof UsageError ? 2 : 1;
+    });
+}
+
+// Stop quietly if the output is piped to a process that exits early (e.g. head)
+process.stdout.on('error', e => {
+  if (e.code === 'EPIPE') {
+    process.exit(0);
+  }
+  throw e;
+});
+
+run(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode;
+});
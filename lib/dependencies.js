@@ -0,0 +1,188 @@
+'use strict';
+
+const withoutFragment = url => url.split('#')[0];
+
+// Redirected entries get an r added to their request id for their position
+// in the redirect chain
+const baseRequestId = requestId => requestId.replace(/r+$/, '');
+
+function parseInitiator(entry) {
+  if (!entry._initiator_detail) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(entry._initiator_detail);
+  } catch (e) {
+    // Redaction patterns can break the JSON
+    return undefined;
+  }
+}
+
+// The URL of the initiator and the scripts in its call stack, including the
+// async parents, with the closest first.
+function initiatorUrls(initiator) {
+  const urls = initiator.url ? [initiator.url] : [];
+  for (let stack = initiator.stack; stack; stack = stack.parent) {
+    for (const frame of stack.callFrames || []) {
+      if (frame.url) {
+        urls.push(frame.url);
+      }
+    }
+  }
+  return urls;
+}
+
+function addTo(map, key, entry) {
+  const entries = map.get(key) || [];
+  entries.push(entry);
+  map.set(key, entries);
+}
+
+// The last of the candidates that started before the entry
+function latestBefore(candidates, entry) {
+  let latest;
+  for (const candidate of candidates || []) {
+    if (
+      candidate !== entry &&
+      candidate.startedDateTime <= entry.startedDateTime
+    ) {
+      latest = candidate;
+    }
+  }
+  return latest;
+}
+
+function isAncestor(parents, entry, parent) {
+  for (let p = parent; p; p = parents.get(p)) {
+    if (p === entry) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function resolvePageParents(entries, parents) {
+  const byUrl = new Map(),
+    byRequestId = new Map(),
+    byRedirectChain = new Map();
+  for (const entry of entries) {
+    addTo(byUrl, withoutFragment(entry.request.url), entry);
+    addTo(byRequestId, baseRequestId(entry._requestId || ''), entry);
+    if (entry._redirectChainId !== undefined) {
+      addTo(byRedirectChain, entry._redirectChainId, entry);
+    }
+  }
+  const document =
+    entries.find(entry => entry._resourceType === 'document') || entries[0];
+
+  const redirectSource = entry =>
+    entry._redirectIndex > 0
+      ? byRedirectChain
+          .get(entry._redirectChainId)
+          .find(hop => hop._redirectIndex === entry._redirectIndex - 1)
+      : undefined;
+
+  const initiatorEntry = entry => {
+    const initiator = parseInitiator(entry);
+    if (!initiator) {
+      return undefined;
+    }
+    // Preflight requests have the id of the request they were sent for
+    if (initiator.requestId) {
+      return latestBefore(byRequestId.get(initiator.requestId), entry);
+    }
+    for (const url of initiatorUrls(initiator)) {
+      const parent = latestBefore(byUrl.get(withoutFragment(url)), entry);
+      if (parent) {
+        return parent;
+      }
+    }
+    // Preloads from Link headers don't have a URL, they come from the page
+    if (initiator.type === 'preload' && document !== entry) {
+      return document;
+    }
+    return undefined;
+  };
+
+  for (const entry of entries) {
+    const parent = redirectSource(entry) || initiatorEntry(entry);
+    if (parent && !isAncestor(parents, entry, parent)) {
+      parents.set(entry, parent);
+    }
+  }
+}
+
+/**
+ * Find the entry that caused each entry to be requested: the redirect that
+ * led to it, the document or script that initiated it, the request a
+ * preflight was sent for or the page a preload came from. Only entries in
+ * the same page are linked. Returns a Map from entry to parent entry.
+ */
+function resolveParents(entries) {
+  const entriesByPage = new Map();
+  for (const entry of entries) {
+    addTo(entriesByPage, entry.pageref, entry);
+  }
+  const parents = new Map();
+  for (const pageEntries of entriesByPage.values()) {
+    resolvePageParents(pageEntries, parents);
+  }
+  return parents;
+}
+
+/**
+ * Add the request id of the parent entry as _parentEntry and the number of
+ * ancestors as _depth to each entry.
+ */
+function addDependencies(entries) {
+  const parents = resolveParents(entries);
+  const depths = new Map();
+  const depth = entry => {
+    if (!depths.has(entry)) {
+      const parent = parents.get(entry);
+      depths.set(entry, parent ? depth(parent) + 1 : 0);
+    }
+    return depths.get(entry);
+  };
+  for (const entry of entries) {
+    const parent = parents.get(entry);
+    if (parent) {
+      entry._parentEntry = parent._requestId;
+    }
+    entry._depth = depth(entry);
+  }
+  return entries;
+}
+
+/**
+ * The entries of a HAR as a tree per page, where the children of a node are
+ * the entries it caused to be requested. Each node is { entry, children }.
+ */
+function dependencyTree(har) {
+  const entries = har.log.entries;
+  const parents = resolveParents(entries);
+  const nodes = new Map(entries.map(entry => [entry, { entry, children: [] }]));
+  const roots = [];
+  for (const entry of entries) {
+    const parent = parents.get(entry);
+    if (parent) {
+      nodes.get(parent).children.push(nodes.get(entry));
+    } else {
+      roots.push(nodes.get(entry));
+    }
+  }
+
+  return {
+    pages: (har.log.pages || []).map(page => ({
+      id: page.id,
+      title: page.title,
+      children: roots.filter(node => node.entry.pageref === page.id)
+    }))
+  };
+}
+
+module.exports = {
+  resolveParents,
+  addDependencies,
+  dependencyTree
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+const { name } = require('../package');
+const debug = require('debug')(name);
+
+/**
+ * Collects problems found while creating a HAR, like events for requests that
+ * were never sent, so broken captures can be detected. Everything is also
+ * logged with debug, the list is only kept if enabled.
+ */
+class Diagnostics {
+  constructor(enabled) {
+    this._enabled = enabled;
+    this._issues = [];
+    this._ignoredEvents = new Map();
+  }
+
+  /**
+   * Report a problem. details can have the method of the message, requestId
+   * and url.
+   */
+  report(code, severity, description, details) {
+    debug(description);
+    if (this._enabled) {
+      const issue = { code, severity, description };
+      for (const key of Object.keys(details || {})) {
+        if (details[key] !== undefined) {
+          issue[key] = details[key];
+        }
+      }
+      this._issues.push(issue);
+    }
+  }
+
+  /**
+   * Count a message that isn't used for the HAR.
+   */
+  ignore(method) {
+    if (this._enabled) {
+      this._ignoredEvents.set(
+        method,
+        (this._ignoredEvents.get(method) || 0) + 1
+      );
+    }
+  }
+
+  clone() {
+    const diagnostics = new Diagnostics(this._enabled);
+    diagnostics._issues = this._issues.slice();
+    diagnostics._ignoredEvents = new Map(this._ignoredEvents);
+    return diagnostics;
+  }
+
+  toJSON() {
+    const ignoredEvents = {};
+    for (const [method, count] of this._ignoredEvents) {
+      ignoredEvents[method] = count;
+    }
+    return { issues: this._issues, ignoredEvents };
+  }
+}
+
+module.exports = Diagnostics;
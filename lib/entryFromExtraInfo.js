@@ -0,0 +1,90 @@
+'use strict';
+
+const {
+  calculateRequestHeaderSize,
+  getHeaderValue,
+  parseHeaders
+} = require('./headers');
+const { parseRequestCookies, parseResponseCookies } = require('./cookies');
+const { isHttp1x } = require('./util');
+
+function blockedRequestCookies(params) {
+  // Chrome 77-84 sends blockedCookies, newer versions all associatedCookies
+  // with an empty list of blockedReasons for the cookies that were sent.
+  const cookies = params.associatedCookies || params.blockedCookies || [];
+  return cookies
+    .filter(
+      blocked => blocked.blockedReasons && blocked.blockedReasons.length > 0
+    )
+    .map(blocked => ({
+      name: blocked.cookie.name,
+      value: blocked.cookie.value,
+      domain: blocked.cookie.domain,
+      path: blocked.cookie.path,
+      blockedReasons: blocked.blockedReasons
+    }));
+}
+
+function blockedResponseCookies(params) {
+  return (params.blockedCookies || []).map(blocked => {
+    // The cookie is missing if the Set-Cookie line couldn't be parsed
+    const cookie =
+      blocked.cookie || parseResponseCookies(blocked.cookieLine || '')[0];
+    return {
+      name: cookie ? cookie.name : '',
+      value: cookie ? cookie.value : '',
+      cookieLine: blocked.cookieLine,
+      blockedReasons: blocked.blockedReasons
+    };
+  });
+}
+
+// Network.requestWillBeSentExtraInfo and Network.responseReceivedExtraInfo
+// have the headers that were sent over the wire, including cookies and HTTP/2
+// pseudo headers, instead of the provisional headers in the other events.
+module.exports = {
+  populateRequestFromExtraInfo(entry, params) {
+    const request = entry.request;
+    request.headers = parseHeaders(params.headers);
+    request.cookies = parseRequestCookies(
+      getHeaderValue(params.headers, 'Cookie')
+    );
+
+    // The HTTP version is known once the response has been received
+    if (request.httpVersion && isHttp1x(request.httpVersion)) {
+      request.headersSize = calculateRequestHeaderSize(request);
+    }
+
+    const blockedCookies = blockedRequestCookies(params);
+    if (blockedCookies.length > 0) {
+      request._blockedCookies = blockedCookies;
+    }
+  },
+  populateResponseFromExtraInfo(entry, params) {
+    const response = entry.response;
+    response.headers = parseHeaders(params.headers);
+    response.cookies = parseResponseCookies(
+      getHeaderValue(params.headers, 'Set-Cookie')
+    );
+
+    const location = getHeaderValue(params.headers, 'Location');
+    if (location) {
+      response.redirectURL = location;
+    }
+
+    if (params.headersText && isHttp1x(response.httpVersion)) {
+      const headersSize = params.headersText.length;
+      // The body size was calculated from the transfer size and the
+      // previous headers size
+      if (response.bodySize >= 0 && response.headersSize >= 0) {
+        response.bodySize += response.headersSize - headersSize;
+      }
+      response.headersSize = headersSize;
+    }
+
+    const blockedCookies = blockedResponseCookies(params);
+    if (blockedCookies.length > 0) {
+      response._blockedCookies = blockedCookies;
+    }
+  }
+};
@@ -0,0 +1,66 @@
+'use strict';
+const max = Math.max;
+
+const { formatMillis, calculateTime } = require('./util');
+
+module.exports = function(entry, params) {
+  // A request can fail before any response is received (DNS errors, blocked
+  // requests etc), so create a response that tells why instead.
+  if (!entry.response) {
+    entry.request.httpVersion = entry.request.httpVersion || '';
+    entry.response = {
+      httpVersion: '',
+      redirectURL: '',
+      status: 0,
+      statusText: '',
+      content: {
+        mimeType: 'x-unknown',
+        size: 0
+      },
+      headersSize: -1,
+      bodySize: -1,
+      cookies: [],
+      headers: [],
+      _transferSize: 0
+    };
+  }
+
+  const response = entry.response;
+  response._error = params.errorText;
+  response._canceled = params.canceled === true;
+  if (params.blockedReason) {
+    response._blockedReason = params.blockedReason;
+  }
+  if (params.corsErrorStatus) {
+    response._corsErrorStatus = params.corsErrorStatus;
+  }
+
+  if (entry.timings && entry._requestTime) {
+    // The response headers were received, so the body was received up until
+    // the failure.
+    entry.timings.receive = formatMillis(
+      max(
+        0,
+        (params.timestamp - entry._requestTime) * 1000 -
+          entry.__receiveHeadersEnd
+      )
+    );
+    entry.time = calculateTime(entry.timings);
+  } else {
+    // The request never got a response, so all the time until it failed was
+    // spent before it could be sent.
+    const blocked = formatMillis(
+      max(0, (params.timestamp - entry.__requestWillBeSentTime) * 1000)
+    );
+    entry.timings = {
+      blocked,
+      dns: -1,
+      connect: -1,
+      send: 0,
+      wait: 0,
+      receive: 0,
+      ssl: -1
+    };
+    entry.time = blocked;
+  }
+};
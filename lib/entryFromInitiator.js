@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = function(entry, initiator) {
+  // The object initiator change according to its type
+  switch (initiator.type) {
+    case 'parser':
+      {
+        entry._initiator = initiator.url;
+        entry._initiator_line = initiator.lineNumber + 1; // Because lineNumber is 0 based
+      }
+      break;
+
+    case 'script':
+      {
+        if (initiator.stack && initiator.stack.callFrames.length > 0) {
+          const topCallFrame = initiator.stack.callFrames[0];
+          entry._initiator = topCallFrame.url;
+          entry._initiator_line = topCallFrame.lineNumber + 1; // Because lineNumber is 0 based
+          entry._initiator_column = topCallFrame.columnNumber + 1; // Because columnNumber is 0 based
+          entry._initiator_function_name = topCallFrame.functionName;
+          entry._initiator_script_id = topCallFrame.scriptId;
+        }
+      }
+      break;
+  }
+};
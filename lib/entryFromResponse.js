@@ -11,6 +11,7 @@ const {
 
 const { parseRequestCookies, parseResponseCookies } = require('./cookies');
 const { isHttp1x, formatMillis } = require('./util');
+const { addResponseBody } = require('./responseBody');
 function firstNonNegative(values) {
   for (let i = 0; i < values.length; ++i) {
     if (values[i] >= 0) return values[i];
@@ -18,6 +19,33 @@ function firstNonNegative(values) {
   return -1;
 }
 
+// Fields from the protocol SecurityDetails, certificateId and the signed
+// certificate timestamps are left out.
+const securityDetailsFields = [
+  'protocol',
+  'keyExchange',
+  'keyExchangeGroup',
+  'cipher',
+  'mac',
+  'subjectName',
+  'sanList',
+  'issuer',
+  'certificateTransparencyCompliance'
+];
+
+function formatSecurityDetails(securityDetails) {
+  const result = securityDetailsFields.reduce((result, field) => {
+    if (securityDetails[field] !== undefined) {
+      result[field] = securityDetails[field];
+    }
+    return result;
+  }, {});
+  // validFrom and validTo are seconds since epoch
+  result.validFrom = dayjs.unix(securityDetails.validFrom).toISOString();
+  result.validTo = dayjs.unix(securityDetails.validTo).toISOString();
+  return result;
+}
+
 function formatIP(ipAddress) {
   if (typeof ipAddress !== 'string') {
     return undefined;
@@ -30,15 +58,6 @@ module.exports = function(entry, response, page, options) {
   const responseHeaders = response.headers;
   const cookieHeader = getHeaderValue(responseHeaders, 'Set-Cookie');
 
-  // response.body must be set by the library user, by either calling
-  // Network.getResponseBody or Network.getResponseBodyForInterception as it is
-  // not part of the Chrome DevTools Protocol specification.
-  // See https://chromedevtools.github.io/devtools-protocol/tot/Network#type-Response
-  const text =
-    options != null && options.includeTextFromResponseBody
-      ? response.body
-      : undefined;
-
   entry.response = {
     httpVersion: response.protocol,
     redirectURL: '',
@@ -47,7 +66,7 @@ module.exports = function(entry, response, page, options) {
     content: {
       mimeType: response.mimeType,
       size: 0,
-      text: text
+      text: undefined
     },
     headersSize: -1,
     bodySize: -1,
@@ -56,6 +75,13 @@ module.exports = function(entry, response, page, options) {
     _transferSize: response.encodedDataLength
   };
 
+  // response.body (and response.base64Encoded) must be set by the library
+  // user, by either calling Network.getResponseBody or
+  // Network.getResponseBodyForInterception as it is not part of the Chrome
+  // DevTools Protocol specification.
+  // See https://chromedevtools.github.io/devtools-protocol/tot/Network#type-Response
+  addResponseBody(entry.response.content, response, options);
+
   const locationHeaderValue = getHeaderValue(responseHeaders, 'Location');
   if (locationHeaderValue) {
     entry.response.redirectURL = locationHeaderValue;
@@ -63,6 +89,16 @@ module.exports = function(entry, response, page, options) {
 
   entry.request.httpVersion = response.protocol;
 
+  entry._fromServiceWorker = response.fromServiceWorker === true;
+  if (response.fromDiskCache === true) {
+    entry._fromCache = 'disk';
+  } else if (response.fromPrefetchCache === true) {
+    entry._fromCache = 'prefetch';
+  } else if (entry.__servedFromCache) {
+    // Network.requestServedFromCache is sent for the memory cache
+    entry._fromCache = 'memory';
+  }
+
   if (response.fromDiskCache === true) {
     if (isHttp1x(response.protocol)) {
       // In http2 headers are compressed, so calculating size from headers text wouldn't be correct.
@@ -104,6 +140,15 @@ module.exports = function(entry, response, page, options) {
     }
   }
 
+  if (options != null && options.includeSecurityDetails) {
+    if (response.securityState) {
+      entry._securityState = response.securityState;
+    }
+    if (response.securityDetails) {
+      entry._securityDetails = formatSecurityDetails(response.securityDetails);
+    }
+  }
+
   entry.connection = response.connectionId.toString();
   entry.serverIPAddress = formatIP(response.remoteIPAddress);
 
@@ -138,6 +183,29 @@ module.exports = function(entry, response, page, options) {
       ssl
     };
 
+    const serviceWorkerTimings = {
+      _serviceWorkerStartup: parseOptionalTime(
+        timing,
+        'workerStart',
+        'workerReady'
+      ),
+      _serviceWorkerRequest: parseOptionalTime(
+        timing,
+        'workerReady',
+        'workerFetchStart'
+      ),
+      _serviceWorkerRespondWith: parseOptionalTime(
+        timing,
+        'workerFetchStart',
+        'workerRespondWithSettled'
+      )
+    };
+    for (const name of Object.keys(serviceWorkerTimings)) {
+      if (serviceWorkerTimings[name] >= 0) {
+        entry.timings[name] = serviceWorkerTimings[name];
+      }
+    }
+
     entry._requestTime = timing.requestTime;
     entry.__receiveHeadersEnd = timing.receiveHeadersEnd;
     if (timing.pushStart > 0) {
@@ -0,0 +1,1283 @@
+'use strict';
+
+const { name, version, homepage } = require('../package');
+
+const urlParser = require('url');
+const uuid = require('uuid/v1');
+const dayjs = require('dayjs');
+const ignoredEvents = require('./ignoredEvents');
+const Diagnostics = require('./diagnostics');
+const { normalizeMessage } = require('./messages');
+const { parseRequestCookies } = require('./cookies');
+const { getHeaderValue, parseHeaders } = require('./headers');
+const {
+  isHttp1x,
+  formatMillis,
+  calculateTime,
+  parsePostData,
+  readPostData,
+  isSupportedProtocol,
+  toNameValuePairs
+} = require('./util');
+const populateEntryFromResponse = require('./entryFromResponse');
+const populateEntryFromFailure = require('./entryFromFailure');
+const populateEntryFromInitiator = require('./entryFromInitiator');
+const {
+  populateRequestFromExtraInfo,
+  populateResponseFromExtraInfo
+} = require('./entryFromExtraInfo');
+const webSocket = require('./webSocket');
+const {
+  SessionCookies,
+  addRequestCookieAttributes
+} = require('./sessionCookies');
+const createRedactor = require('./redact');
+const { addDependencies } = require('./dependencies');
+const { applyBodyBudget } = require('./responseBody');
+
+const defaultOptions = {
+  includeResourcesFromDiskCache: false,
+  includeTextFromResponseBody: false,
+  maxBodySize: Infinity,
+  maxTotalBodySize: Infinity,
+  includeFailedRequests: false,
+  includeSecurityDetails: false,
+  includeChunks: false,
+  includeDiagnostics: false,
+  deterministic: false,
+  trackCookies: false,
+  collapseRedirects: false,
+  pageStrategy: 'root-frame',
+  maxEventSourceMessages: Infinity
+};
+
+// Page.lifecycleEvent names and the pageTimings they are stored as.
+const lifecycleEventTimings = {
+  DOMContentLoaded: '_domContentLoaded',
+  firstPaint: '_firstPaint',
+  firstContentfulPaint: '_firstContentfulPaint',
+  firstMeaningfulPaint: '_firstMeaningfulPaint',
+  networkAlmostIdle: '_networkAlmostIdle',
+  networkIdle: '_networkIdle'
+};
+
+function addFromFirstRequest(page, params) {
+  if (!page.__timestamp) {
+    page.__wallTime = params.wallTime;
+    page.__timestamp = params.timestamp;
+    page.startedDateTime = dayjs.unix(params.wallTime).toISOString(); //epoch float64, eg 1440589909.59248
+    // URL is better than blank, and it's what devtools uses.
+    page.title = page.title === '' ? params.request.url : page.title;
+  }
+}
+
+// Time to the first chunk of the body and the average throughput in bytes
+// per second while the body was received.
+function addChunkTimings(entry) {
+  const response = entry.response;
+  entry._timeToFirstBodyByte = entry._chunks[0].ts;
+
+  const receive = entry.timings ? entry.timings.receive : 0;
+  const bytes =
+    response.bodySize >= 0 ? response.bodySize : response.content.size;
+  if (receive > 0) {
+    entry._averageThroughput = Math.round(bytes / (receive / 1000));
+  }
+}
+
+// There is no Network.loadingFinished for a redirect response, it has been
+// received when the next request is sent.
+function addRedirectTimings(entry, timestamp) {
+  if (!entry.timings || entry._requestTime === undefined) {
+    return;
+  }
+  const receive = formatMillis(
+    (timestamp - entry._requestTime) * 1000 - entry.__receiveHeadersEnd
+  );
+  if (receive > 0) {
+    entry.timings.receive = receive;
+    entry.time = calculateTime(entry.timings);
+  }
+}
+
+// Replace each redirect chain with its last entry, with the earlier hops as
+// _redirects and the time spent on them as timings._redirect.
+function collapseRedirects(entries) {
+  const chains = new Map();
+  for (const entry of entries) {
+    if (entry._redirectChainId !== undefined) {
+      const chain = chains.get(entry._redirectChainId) || [];
+      chain.push(entry);
+      chains.set(entry._redirectChainId, chain);
+    }
+  }
+
+  const collapsed = new Set();
+  for (const chain of chains.values()) {
+    chain.sort((e1, e2) => e1._redirectIndex - e2._redirectIndex);
+    const first = chain[0],
+      last = chain[chain.length - 1];
+    if (first === last) {
+      continue;
+    }
+    const hops = chain.slice(0, -1);
+    last._redirects = hops.map(hop => ({
+      url: hop.request.url,
+      status: hop.response.status,
+      startedDateTime: hop.startedDateTime,
+      time: hop.time
+    }));
+    const redirectMillis = formatMillis(
+      dayjs(last.startedDateTime).diff(dayjs(first.startedDateTime))
+    );
+    if (last.timings && redirectMillis > 0) {
+      last.timings._redirect = redirectMillis;
+      last.time += redirectMillis;
+    }
+    last.startedDateTime = first.startedDateTime;
+    hops.forEach(hop => collapsed.add(hop));
+  }
+  return entries.filter(entry => !collapsed.has(entry));
+}
+
+const deleteInternalProperties = o => {
+  // __ properties are only for internal use, _ properties are custom properties for the HAR
+  for (const prop in o) {
+    if (prop.startsWith('__')) {
+      delete o[prop];
+    }
+  }
+  return o;
+};
+
+// The method, requestId and url of a message for diagnostics
+function messageDetails(method, params) {
+  const details = { method };
+  if (params) {
+    details.requestId = params.requestId;
+    if (params.request) {
+      details.url = params.request.url;
+    } else if (params.response) {
+      details.url = params.response.url;
+    }
+  }
+  return details;
+}
+
+// Entries and pages only hold JSON data, so a JSON round trip is a deep copy.
+const clone = o => JSON.parse(JSON.stringify(o));
+
+// Round all numbers to the same precision as the timings, so sums like
+// entry.time don't end up as 153.00300000000001.
+function roundNumbers(o) {
+  for (const key of Object.keys(o)) {
+    const value = o[key];
+    if (typeof value === 'number') {
+      o[key] = formatMillis(value);
+    } else if (value !== null && typeof value === 'object') {
+      roundNumbers(value);
+    }
+  }
+  return o;
+}
+
+function compareEntries(e1, e2) {
+  if (e1.startedDateTime !== e2.startedDateTime) {
+    return e1.startedDateTime < e2.startedDateTime ? -1 : 1;
+  }
+  if (e1._requestId !== e2._requestId) {
+    return e1._requestId < e2._requestId ? -1 : 1;
+  }
+  return 0;
+}
+
+function createHar(pages, entries, options, diagnostics) {
+  entries = entries.filter(entry => !entry.__removed);
+
+  if (!options.includeResourcesFromDiskCache) {
+    entries = entries.filter(entry => entry.cache.beforeRequest === undefined);
+  }
+
+  entries = entries
+    .filter(entry => {
+      if (!entry.response) {
+        diagnostics.report(
+          'incomplete-request',
+          'warning',
+          `Dropping incomplete request: ${entry.request.url}`,
+          { requestId: entry._requestId, url: entry.request.url }
+        );
+      }
+      return entry.response;
+    })
+    .map(entry => {
+      if (entry.__sentCookies) {
+        addRequestCookieAttributes(entry, entry.__sentCookies);
+      }
+      return deleteInternalProperties(entry);
+    });
+  pages = pages.map(deleteInternalProperties);
+  if (options.collapseRedirects) {
+    entries = collapseRedirects(entries);
+  }
+  // Before redaction, which can change the URLs entries are linked by
+  addDependencies(entries);
+  const redactor = options.redact ? createRedactor(options.redact) : undefined;
+  if (redactor) {
+    entries = entries.map(redactor.redactEntry);
+    pages = pages.map(redactor.redactPage);
+  }
+  const pagerefs = new Set(entries.map(entry => entry.pageref));
+  pages = pages.reduce((result, page, index) => {
+    if (pagerefs.has(page.id)) {
+      result.push(page);
+    } else {
+      diagnostics.report(
+        'empty-page',
+        'info',
+        `Skipping empty page: ${index + 1}`,
+        { url: page.title }
+      );
+    }
+    return result;
+  }, []);
+  const pagerefMapping = pages.reduce((result, page, index) => {
+    result[page.id] = `page_${index + 1}`;
+    return result;
+  }, {});
+
+  pages = pages.map(page => {
+    page.id = pagerefMapping[page.id];
+    return page;
+  });
+  entries = entries.map(entry => {
+    entry.pageref = pagerefMapping[entry.pageref];
+    return entry;
+  });
+
+  // FIXME sanity check if there are any pages/entries created
+
+  // The version is left out in deterministic mode so the output doesn't
+  // change with each release.
+  const creator = Object.assign(
+    { name, version: options.deterministic ? '' : version, comment: homepage },
+    options.creator
+  );
+  if (options.deterministic) {
+    entries.sort(compareEntries);
+    entries.forEach(roundNumbers);
+    pages.forEach(roundNumbers);
+  }
+  if (options.maxTotalBodySize < Infinity) {
+    applyBodyBudget(entries, options.maxTotalBodySize);
+  }
+
+  const har = {
+    log: {
+      version: '1.2',
+      creator,
+      pages,
+      entries
+    }
+  };
+  if (options.includeDiagnostics) {
+    const report = diagnostics.toJSON();
+    if (redactor) {
+      report.issues = report.issues.map(redactor.redactIssue);
+    }
+    har.log._diagnostics = report;
+  }
+  return har;
+}
+
+/**
+ * Builds a HAR incrementally from Chrome DevTools Protocol messages. Messages
+ * can be added as they arrive, a HAR snapshot can be taken at any point and
+ * the builder is finalized once the session has ended.
+ */
+class HarBuilder {
+  constructor(options) {
+    this._options = Object.assign({}, defaultOptions, options);
+    const pageStrategy = this._options.pageStrategy;
+    if (
+      typeof pageStrategy !== 'function' &&
+      !['root-frame', 'every-navigation'].includes(pageStrategy)
+    ) {
+      throw new Error(`Unknown pageStrategy '${pageStrategy}'`);
+    }
+
+    this._ignoredRequests = new Set();
+    this._rootFrameMappings = new Map();
+    this._webSockets = new Map();
+    // The extra info events for each request id, in the order they arrived.
+    // Chrome sends them once for each request in a redirect chain, so the
+    // position in the list is the position of the entry in the chain.
+    this._extraInfo = new Map();
+    this._sessionCookies = this._options.trackCookies
+      ? new SessionCookies()
+      : undefined;
+
+    this._pages = [];
+    // All entries in the order they were requested, and the same entries
+    // indexed by requestId. Redirected entries get ids of their own, but
+    // Chrome can send requestWillBeSent more than once for the same id
+    // without a redirect (e.g. for fonts), so each id maps to a list where the
+    // first entry is the one events refer to.
+    this._entries = [];
+    this._entriesByRequestId = new Map();
+    // Requests that started a navigation and haven't got a response yet,
+    // they are moved to the page of the navigation once Chrome reports it
+    this._navigationRequests = new Set();
+    // Requests and responses that happen before the first page is created
+    this._entriesWithoutPage = [];
+    this._responsesWithoutPage = [];
+    this._paramsWithoutPage = [];
+    this._currentPageId = undefined;
+
+    this._diagnostics = new Diagnostics(this._options.includeDiagnostics);
+    this._har = undefined;
+  }
+
+  /**
+   * Add a single message, e.g. { method: 'Network.requestWillBeSent', params: {...} }.
+   * ChromeDriver performance log entries and raw protocol messages as JSON
+   * strings are also accepted.
+   */
+  addMessage(message) {
+    if (this._har) {
+      throw new Error('Cannot add messages to a finalized HarBuilder');
+    }
+
+    const options = this._options;
+    const ignoredRequests = this._ignoredRequests,
+      rootFrameMappings = this._rootFrameMappings,
+      webSockets = this._webSockets;
+    const pages = this._pages,
+      entriesWithoutPage = this._entriesWithoutPage,
+      responsesWithoutPage = this._responsesWithoutPage,
+      paramsWithoutPage = this._paramsWithoutPage;
+    const diagnostics = this._diagnostics;
+
+    message = normalizeMessage(message);
+    if (!message) {
+      return;
+    }
+
+    const params = message.params;
+
+    const method = message.method;
+
+    if (!/^(Page|Network)\..+/.test(method)) {
+      diagnostics.ignore(method);
+      return;
+    }
+
+    const details = messageDetails(method, params);
+
+    switch (method) {
+      case 'Page.frameStartedLoading':
+      case 'Page.frameScheduledNavigation':
+      case 'Page.navigatedWithinDocument':
+        {
+          const frameId = params.frameId;
+          const rootFrame = rootFrameMappings.get(frameId) || frameId;
+          const previousPage = this._findPage(rootFrame);
+          if (!this._isNewPage(message, rootFrame, previousPage)) {
+            return;
+          }
+          // Page ids are replaced with page_1, page_2 etc when the HAR is
+          // created, but keep them stable in deterministic mode as well.
+          this._currentPageId = options.deterministic
+            ? `page_internal_${pages.length + 1}`
+            : uuid();
+          const title =
+            method === 'Page.navigatedWithinDocument' ? params.url : '';
+          const page = {
+            id: this._currentPageId,
+            startedDateTime: '',
+            title: title,
+            pageTimings: {},
+            __frameId: rootFrame,
+            __sameDocument: method === 'Page.navigatedWithinDocument'
+          };
+          if (message.webview) {
+            page._webview = message.webview;
+          }
+          pages.push(page);
+          if (previousPage) {
+            this._moveNavigationRequests(previousPage, page);
+          }
+          // do we have any unmmapped requests, add them
+          if (entriesWithoutPage.length > 0) {
+            // update page
+            for (let entry of entriesWithoutPage) {
+              entry.pageref = page.id;
+              this._addEntry(entry);
+            }
+            addFromFirstRequest(page, paramsWithoutPage[0]);
+            entriesWithoutPage.length = 0;
+            paramsWithoutPage.length = 0;
+          }
+          if (responsesWithoutPage.length > 0) {
+            for (let params of responsesWithoutPage) {
+              let entry = this._findEntry(params.requestId);
+              if (entry) {
+                this._populateFromResponse(entry, params.response, page);
+              } else {
+                diagnostics.report(
+                  'missing-request',
+                  'warning',
+                  `Couldn't find matching request for response`,
+                  {
+                    method: 'Network.responseReceived',
+                    requestId: params.requestId,
+                    url: params.response.url
+                  }
+                );
+              }
+            }
+            responsesWithoutPage.length = 0;
+          }
+        }
+        break;
+
+      case 'Network.requestWillBeSent':
+        {
+          const request = params.request;
+          if (!isSupportedProtocol(request.url)) {
+            ignoredRequests.add(params.requestId);
+            return;
+          }
+          const page = pages[pages.length - 1];
+          const cookieHeader = getHeaderValue(request.headers, 'Cookie');
+
+          //Before we used to remove the hash framgment because of Chrome do that but:
+          // 1. Firefox do not
+          // 2. If we remove it, the HAR will not have the same URL as we tested
+          // and that makes PageXray generate the wromng URL and we end up with two pages
+          // in sitespeed.io if we run in SPA mode
+          const url = urlParser.parse(
+            request.url + (request.urlFragment ? request.urlFragment : ''),
+            true
+          );
+
+          const body = readPostData(request);
+          const postData = parsePostData(
+            getHeaderValue(request.headers, 'Content-Type'),
+            body.text
+          );
+
+          const req = {
+            method: request.method,
+            url: urlParser.format(url),
+            queryString: toNameValuePairs(url.query),
+            postData,
+            headersSize: -1,
+            bodySize: body.size,
+            cookies: parseRequestCookies(cookieHeader),
+            headers: parseHeaders(request.headers)
+          };
+          // Chrome knows there is a body, but it isn't in the message
+          if (body.missing) {
+            req._postDataMissing = true;
+          }
+
+          const entry = {
+            cache: {},
+            startedDateTime: '',
+            __requestWillBeSentTime: params.timestamp,
+            __wallTime: params.wallTime,
+            _requestId: params.requestId,
+            __frameId: params.frameId,
+            _initialPriority: request.initialPriority,
+            _priority: request.initialPriority,
+            pageref: this._currentPageId,
+            request: req,
+            time: 0,
+            _initiator_detail: JSON.stringify(params.initiator),
+            _initiator_type: params.initiator.type
+          };
+          // The request that starts a navigation has the same id as the loader
+          if (params.loaderId && params.requestId === params.loaderId) {
+            entry.__navigationRequest = true;
+          }
+          if (params.type) {
+            // The same resource types as in HARs exported by Chrome DevTools
+            entry._resourceType = params.type.toLowerCase();
+          }
+
+          populateEntryFromInitiator(entry, params.initiator);
+
+          if (params.redirectResponse) {
+            const previousEntry = this._findEntry(params.requestId);
+            if (previousEntry) {
+              // All hops have the request id of the first request as
+              // _redirectChainId. The redirected entries get an r for each
+              // step in the chain, so each of them has a request id of its own.
+              const chainId =
+                previousEntry._redirectChainId || params.requestId;
+              previousEntry._redirectChainId = chainId;
+              previousEntry._redirectIndex = previousEntry._redirectIndex || 0;
+              this._removeFromIndex(previousEntry);
+              previousEntry._requestId =
+                chainId + 'r'.repeat(previousEntry._redirectIndex + 1);
+              this._addToIndex(previousEntry);
+              this._populateFromResponse(
+                previousEntry,
+                params.redirectResponse,
+                pages.find(page => page.id === previousEntry.pageref)
+              );
+              addRedirectTimings(previousEntry, params.timestamp);
+
+              entry._redirectChainId = chainId;
+              entry._redirectIndex = previousEntry._redirectIndex + 1;
+              entry._redirectedFrom = previousEntry.request.url;
+            } else {
+              diagnostics.report(
+                'missing-request',
+                'warning',
+                `Couldn't find original request for redirect response: ${
+                  params.requestId
+                }`,
+                details
+              );
+            }
+          }
+
+          // The extra info can arrive before the request
+          this._applyExtraInfo(entry);
+
+          // The cookies set by a redirect are sent with the next request
+          if (this._sessionCookies) {
+            entry.__sentCookies = this._sessionCookies.sentCookies(entry);
+          }
+
+          if (!page) {
+            diagnostics.report(
+              'missing-page',
+              'info',
+              `Request will be sent with requestId ${
+                params.requestId
+              } that can't be mapped to any page at the moment.`,
+              details
+            );
+            // ignoredRequests.add(params.requestId);
+            entriesWithoutPage.push(entry);
+            paramsWithoutPage.push(params);
+            return;
+          }
+
+          this._addEntry(entry);
+
+          // this is the first request for this page, so set timestamp of page.
+          addFromFirstRequest(page, params);
+          // wallTime is not necessarily monotonic, timestamp is. So calculate startedDateTime from timestamp diffs.
+          // (see https://cs.chromium.org/chromium/src/third_party/WebKit/Source/platform/network/ResourceLoadTiming.h?q=requestTime+package:%5Echromium$&dr=CSs&l=84)
+          const entrySecs =
+            page.__wallTime + (params.timestamp - page.__timestamp);
+          entry.startedDateTime = dayjs.unix(entrySecs).toISOString();
+        }
+        break;
+
+      case 'Network.requestServedFromCache':
+        {
+          if (pages.length < 1) {
+            //we haven't loaded any pages yet.
+            return;
+          }
+
+          if (ignoredRequests.has(params.requestId)) {
+            return;
+          }
+
+          const entry = this._findEntry(params.requestId);
+          if (!entry) {
+            diagnostics.report(
+              'missing-request',
+              'warning',
+              `Received requestServedFromCache for requestId ${
+                params.requestId
+              } with no matching request.`,
+              details
+            );
+            return;
+          }
+
+          entry.__servedFromCache = true;
+          entry.cache.beforeRequest = {
+            lastAccess: '',
+            eTag: '',
+            hitCount: 0
+          };
+        }
+        break;
+
+      case 'Network.responseReceived':
+        {
+          if (pages.length < 1) {
+            //we haven't loaded any pages yet.
+            responsesWithoutPage.push(params);
+            return;
+          }
+
+          if (ignoredRequests.has(params.requestId)) {
+            return;
+          }
+
+          const entry = this._findEntry(params.requestId);
+          if (!entry) {
+            diagnostics.report(
+              'missing-request',
+              'warning',
+              `Received network response for requestId ${
+                params.requestId
+              } with no matching request.`,
+              details
+            );
+            return;
+          }
+
+          // The page the request was sent from. With pageStrategy
+          // every-navigation the latest page for the frame can be a same
+          // document navigation that hasn't sent any requests yet.
+          const page = pages.find(page => page.id === entry.pageref);
+          if (!page) {
+            diagnostics.report(
+              'missing-page',
+              'warning',
+              `Received network response for requestId ${
+                params.requestId
+              } that can't be mapped to any page.`,
+              details
+            );
+            return;
+          }
+
+          // The type is Other in the request until Chrome knows what it is
+          if (params.type) {
+            entry._resourceType = params.type.toLowerCase();
+          }
+
+          try {
+            this._populateFromResponse(entry, params.response, page);
+          } catch (e) {
+            diagnostics.report(
+              'invalid-response',
+              'error',
+              `Error parsing response: ${JSON.stringify(params, undefined, 2)}`,
+              details
+            );
+            throw e;
+          }
+        }
+        break;
+
+      case 'Network.dataReceived':
+        {
+          if (pages.length < 1) {
+            //we haven't loaded any pages yet.
+            return;
+          }
+          if (ignoredRequests.has(params.requestId)) {
+            return;
+          }
+
+          const entry = this._findEntry(params.requestId);
+          if (!entry) {
+            diagnostics.report(
+              'missing-request',
+              'warning',
+              `Received network data for requestId ${
+                params.requestId
+              } with no matching request.`,
+              details
+            );
+            return;
+          }
+          // It seems that people sometimes have an entry without a response,
+          // I wonder how that works
+          // https://github.com/sitespeedio/sitespeed.io/issues/2645
+          if (entry.response) {
+            entry.response.content.size += params.dataLength;
+          }
+          if (options.includeChunks) {
+            const startTime =
+              entry._requestTime || entry.__requestWillBeSentTime;
+            const chunks = entry._chunks || [];
+            chunks.push({
+              ts: formatMillis((params.timestamp - startTime) * 1000),
+              bytes: params.dataLength,
+              encodedBytes: params.encodedDataLength
+            });
+            entry._chunks = chunks;
+          }
+        }
+        break;
+
+      case 'Network.loadingFinished':
+        {
+          if (pages.length < 1) {
+            //we haven't loaded any pages yet.
+            return;
+          }
+          if (ignoredRequests.has(params.requestId)) {
+            ignoredRequests.delete(params.requestId);
+            return;
+          }
+          // No more extra info is sent once the request is done
+          this._extraInfo.delete(params.requestId);
+
+          const entry = this._findEntry(params.requestId);
+          if (!entry) {
+            diagnostics.report(
+              'missing-request',
+              'warning',
+              `Network loading finished for requestId ${
+                params.requestId
+              } with no matching request.`,
+              details
+            );
+            return;
+          }
+
+          const timings = entry.timings || {};
+          timings.receive = formatMillis(
+            (params.timestamp - entry._requestTime) * 1000 -
+              entry.__receiveHeadersEnd
+          );
+          entry.time = calculateTime(timings);
+
+          // For cached entries, Network.loadingFinished can have an earlier
+          // timestamp than Network.dataReceived
+
+          // encodedDataLength will be -1 sometimes
+          if (params.encodedDataLength >= 0) {
+            const response = entry.response;
+            if (response) {
+              response._transferSize = params.encodedDataLength;
+              response.bodySize = params.encodedDataLength;
+
+              if (isHttp1x(response.httpVersion) && response.headersSize > -1) {
+                response.bodySize -= response.headersSize;
+              }
+
+              const compression = Math.max(
+                0,
+                response.content.size - response.bodySize
+              );
+              if (compression > 0) {
+                response.content.compression = compression;
+              }
+            }
+          }
+
+          if (entry._chunks && entry.response) {
+            addChunkTimings(entry);
+          }
+        }
+        break;
+
+      case 'Page.loadEventFired':
+        {
+          if (pages.length < 1) {
+            //we haven't loaded any pages yet.
+            return;
+          }
+
+          const page = this._findDocumentPage(
+            pages[pages.length - 1].__frameId
+          );
+          page.__loaded = true;
+
+          if (params.timestamp && page.__timestamp) {
+            page.pageTimings.onLoad = formatMillis(
+              (params.timestamp - page.__timestamp) * 1000
+            );
+          }
+        }
+        break;
+
+      case 'Page.domContentEventFired':
+        {
+          if (pages.length < 1) {
+            //we haven't loaded any pages yet.
+            return;
+          }
+
+          const page = this._findDocumentPage(
+            pages[pages.length - 1].__frameId
+          );
+
+          if (params.timestamp && page.__timestamp) {
+            page.pageTimings.onContentLoad = formatMillis(
+              (params.timestamp - page.__timestamp) * 1000
+            );
+          }
+        }
+        break;
+
+      case 'Page.lifecycleEvent':
+        {
+          const timing = lifecycleEventTimings[params.name];
+          if (!timing) {
+            return;
+          }
+
+          const frameId = params.frameId;
+          const rootFrame = rootFrameMappings.get(frameId);
+          const page = this._findDocumentPage(rootFrame || frameId);
+          if (!page || !page.__timestamp) {
+            diagnostics.report(
+              'missing-page',
+              'warning',
+              `Received lifecycle event ${
+                params.name
+              } for frame ${frameId} that can't be mapped to any page.`,
+              details
+            );
+            return;
+          }
+
+          const millis = formatMillis(
+            (params.timestamp - page.__timestamp) * 1000
+          );
+          if (rootFrame) {
+            // Keep iframes separate so they don't overwrite the root frame
+            const frameTimings = page._frameTimings || {};
+            frameTimings[frameId] = frameTimings[frameId] || {};
+            frameTimings[frameId][timing] = millis;
+            page._frameTimings = frameTimings;
+          } else {
+            page.pageTimings[timing] = millis;
+          }
+        }
+        break;
+
+      case 'Page.frameAttached':
+        {
+          const frameId = params.frameId,
+            parentId = params.parentFrameId;
+
+          rootFrameMappings.set(frameId, parentId);
+
+          let grandParentId = rootFrameMappings.get(parentId);
+          while (grandParentId) {
+            rootFrameMappings.set(frameId, grandParentId);
+            grandParentId = rootFrameMappings.get(grandParentId);
+          }
+        }
+        break;
+
+      case 'Network.loadingFailed':
+        {
+          if (ignoredRequests.has(params.requestId)) {
+            ignoredRequests.delete(params.requestId);
+            return;
+          }
+          // No more extra info is sent once the request is done
+          this._extraInfo.delete(params.requestId);
+
+          const entry = this._findEntry(params.requestId);
+          if (!entry) {
+            diagnostics.report(
+              'missing-request',
+              'warning',
+              `Network loading failed for requestId ${
+                params.requestId
+              } with no matching request.`,
+              details
+            );
+            return;
+          }
+
+          // This could be due to incorrect domain name etc.
+          diagnostics.report(
+            'failed-request',
+            'info',
+            `Failed to load url '${entry.request.url}' (canceled: ${
+              params.canceled
+            })`,
+            { method, requestId: params.requestId, url: entry.request.url }
+          );
+          if (options.includeFailedRequests) {
+            populateEntryFromFailure(entry, params);
+            return;
+          }
+          for (const failedEntry of this._entriesByRequestId.get(
+            params.requestId
+          )) {
+            failedEntry.__removed = true;
+          }
+          this._entriesByRequestId.delete(params.requestId);
+        }
+        break;
+
+      case 'Network.requestWillBeSentExtraInfo':
+      case 'Network.responseReceivedExtraInfo':
+        {
+          if (ignoredRequests.has(params.requestId)) {
+            return;
+          }
+
+          const isRequest = method === 'Network.requestWillBeSentExtraInfo';
+          const extraInfo = this._extraInfo.get(params.requestId) || {
+            request: [],
+            response: []
+          };
+          this._extraInfo.set(params.requestId, extraInfo);
+          const events = isRequest ? extraInfo.request : extraInfo.response;
+          events.push(params);
+
+          // The extra info can arrive before or after the request, it's
+          // applied when the request or response arrives if the entry isn't
+          // there yet.
+          const entry = this._findRedirectEntry(
+            params.requestId,
+            events.length - 1
+          );
+          if (!entry) {
+            return;
+          }
+          this._applyExtraInfo(entry);
+          if (!isRequest) {
+            this._addResponseCookies(entry);
+          }
+        }
+        break;
+
+      case 'Network.resourceChangedPriority':
+        {
+          const entry = this._findEntry(params.requestId);
+
+          if (!entry) {
+            diagnostics.report(
+              'missing-request',
+              'warning',
+              `Received resourceChangedPriority for requestId ${
+                params.requestId
+              } with no matching request.`,
+              details
+            );
+            return;
+          }
+
+          entry._priority = message.params.newPriority;
+        }
+        break;
+
+      case 'Network.eventSourceMessageReceived':
+        {
+          if (ignoredRequests.has(params.requestId)) {
+            return;
+          }
+
+          const entry = this._findEntry(params.requestId);
+          if (!entry) {
+            diagnostics.report(
+              'missing-request',
+              'warning',
+              `Received event source message for requestId ${
+                params.requestId
+              } with no matching request.`,
+              details
+            );
+            return;
+          }
+
+          const messages = entry._eventSourceMessages || [];
+          entry._eventSourceMessages = messages;
+          if (messages.length >= options.maxEventSourceMessages) {
+            entry._eventSourceMessagesDropped =
+              (entry._eventSourceMessagesDropped || 0) + 1;
+            return;
+          }
+
+          // startedDateTime is based on requestTime if we got timings for the response
+          const startTime = entry._requestTime || entry.__requestWillBeSentTime;
+          messages.push({
+            eventName: params.eventName,
+            eventId: params.eventId,
+            data: params.data,
+            time: formatMillis((params.timestamp - startTime) * 1000)
+          });
+        }
+        break;
+
+      case 'Network.webSocketCreated':
+        {
+          webSockets.set(params.requestId, {
+            url: params.url,
+            initiator: params.initiator
+          });
+        }
+        break;
+
+      case 'Network.webSocketWillSendHandshakeRequest':
+        {
+          const socket = webSockets.get(params.requestId);
+          if (!socket) {
+            diagnostics.report(
+              'missing-request',
+              'warning',
+              `Web socket handshake for requestId ${
+                params.requestId
+              } with no matching web socket.`,
+              details
+            );
+            return;
+          }
+          if (pages.length < 1) {
+            //we haven't loaded any pages yet.
+            return;
+          }
+
+          const page = pages[pages.length - 1];
+          this._addEntry(webSocket.createEntry(socket, params, page));
+        }
+        break;
+
+      case 'Network.webSocketHandshakeResponseReceived':
+      case 'Network.webSocketFrameSent':
+      case 'Network.webSocketFrameReceived':
+      case 'Network.webSocketFrameError':
+      case 'Network.webSocketClosed':
+        {
+          const entry = this._findEntry(params.requestId);
+          if (!entry) {
+            diagnostics.report(
+              'missing-request',
+              'warning',
+              `Received ${method} for requestId ${
+                params.requestId
+              } with no matching web socket handshake.`,
+              details
+            );
+            return;
+          }
+
+          switch (method) {
+            case 'Network.webSocketHandshakeResponseReceived':
+              webSocket.populateEntryFromHandshakeResponse(entry, params);
+              break;
+            case 'Network.webSocketFrameSent':
+              webSocket.addFrame(entry, 'send', params);
+              break;
+            case 'Network.webSocketFrameReceived':
+              webSocket.addFrame(entry, 'receive', params);
+              break;
+            case 'Network.webSocketFrameError':
+              webSocket.addFrameError(entry, params);
+              break;
+            case 'Network.webSocketClosed':
+              webSocket.close(entry, params);
+              webSockets.delete(params.requestId);
+              break;
+          }
+        }
+        break;
+
+      default:
+        // Keep the old functionallity and log unknown events
+        ignoredEvents(method);
+        diagnostics.ignore(method);
+        break;
+    }
+  }
+
+  /**
+   * The latest page for a root frame.
+   */
+  _findPage(rootFrame) {
+    for (let i = this._pages.length - 1; i >= 0; --i) {
+      if (this._pages[i].__frameId === rootFrame) {
+        return this._pages[i];
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * The latest page for a root frame that was created by loading a document,
+   * which is the page load and lifecycle events belong to. Falls back to the
+   * latest page if all pages are same document navigations.
+   */
+  _findDocumentPage(rootFrame) {
+    for (let i = this._pages.length - 1; i >= 0; --i) {
+      const page = this._pages[i];
+      if (page.__frameId === rootFrame && !page.__sameDocument) {
+        return page;
+      }
+    }
+    return this._findPage(rootFrame);
+  }
+
+  _isNewPage(message, rootFrame, previousPage) {
+    const pageStrategy = this._options.pageStrategy;
+    if (typeof pageStrategy === 'function') {
+      return !!pageStrategy(message, {
+        frameId: rootFrame,
+        isRootFrame: message.params.frameId === rootFrame,
+        hasPage: previousPage !== undefined
+      });
+    }
+    if (!previousPage) {
+      return true;
+    }
+    if (pageStrategy === 'root-frame') {
+      return false;
+    }
+    // every-navigation: navigations in iframes are part of the page
+    if (message.params.frameId !== rootFrame) {
+      return false;
+    }
+    if (message.method === 'Page.navigatedWithinDocument') {
+      return true;
+    }
+    // Page.frameScheduledNavigation and Page.frameStartedLoading are both sent
+    // for the same navigation, so only start a new page once the previous
+    // page has loaded.
+    return previousPage.__sameDocument || previousPage.__loaded;
+  }
+
+  /**
+   * Requests are part of the page that was current when they were sent,
+   * except for the request that started the navigation to a new page, since
+   * it's sent before Chrome reports the navigation.
+   */
+  _moveNavigationRequests(previousPage, page) {
+    for (const entry of this._navigationRequests) {
+      if (entry.response || entry.__removed) {
+        this._navigationRequests.delete(entry);
+        continue;
+      }
+      const rootFrame =
+        this._rootFrameMappings.get(entry.__frameId) || entry.__frameId;
+      if (entry.pageref === previousPage.id && rootFrame === page.__frameId) {
+        entry.pageref = page.id;
+        addFromFirstRequest(page, {
+          timestamp: entry.__requestWillBeSentTime,
+          wallTime: entry.__wallTime,
+          request: entry.request
+        });
+      }
+    }
+  }
+
+  _populateFromResponse(entry, response, page) {
+    populateEntryFromResponse(entry, response, page, this._options);
+    this._applyExtraInfo(entry);
+    this._addResponseCookies(entry);
+  }
+
+  _applyExtraInfo(entry) {
+    const extraInfo = this._extraInfo.get(
+      entry._redirectChainId || entry._requestId
+    );
+    if (extraInfo) {
+      const index = entry._redirectIndex || 0;
+      entry.__requestExtraInfo =
+        entry.__requestExtraInfo || extraInfo.request[index];
+      entry.__responseExtraInfo =
+        entry.__responseExtraInfo || extraInfo.response[index];
+    }
+    if (entry.__requestExtraInfo) {
+      populateRequestFromExtraInfo(entry, entry.__requestExtraInfo);
+    }
+    if (entry.__responseExtraInfo && entry.response) {
+      populateResponseFromExtraInfo(entry, entry.__responseExtraInfo);
+    }
+  }
+
+  _addResponseCookies(entry) {
+    if (this._sessionCookies && entry.response) {
+      this._sessionCookies.addResponse(entry);
+    }
+  }
+
+  _addEntry(entry) {
+    this._entries.push(entry);
+    this._addToIndex(entry);
+    if (entry.__navigationRequest) {
+      this._navigationRequests.add(entry);
+    }
+  }
+
+  _addToIndex(entry) {
+    const entries = this._entriesByRequestId.get(entry._requestId);
+    if (entries) {
+      entries.push(entry);
+    } else {
+      this._entriesByRequestId.set(entry._requestId, [entry]);
+    }
+  }
+
+  _removeFromIndex(entry) {
+    const entries = this._entriesByRequestId.get(entry._requestId);
+    entries.splice(entries.indexOf(entry), 1);
+    if (entries.length === 0) {
+      this._entriesByRequestId.delete(entry._requestId);
+    }
+  }
+
+  _findEntry(requestId) {
+    const entries = this._entriesByRequestId.get(requestId);
+    return entries ? entries[0] : undefined;
+  }
+
+  /**
+   * The entry at a position in the redirect chain of a request id. The
+   * redirected entries have an r added to the request id for their position.
+   */
+  _findRedirectEntry(requestId, index) {
+    const entry =
+      this._findEntry(requestId) ||
+      this._entriesWithoutPage.find(entry => entry._requestId === requestId);
+    if (entry && (entry._redirectIndex || 0) === index) {
+      return entry;
+    }
+    return this._findEntry(requestId + 'r'.repeat(index + 1));
+  }
+
+  /**
+   * Add several messages, in the order they were received.
+   */
+  addMessages(messages) {
+    for (const message of messages) {
+      this.addMessage(message);
+    }
+    return this;
+  }
+
+  /**
+   * Create a HAR from the messages added so far. The builder is left
+   * untouched, so more messages can be added afterwards.
+   */
+  snapshot() {
+    if (this._har) {
+      return clone(this._har);
+    }
+    return createHar(
+      clone(this._pages),
+      clone(this._entries),
+      this._options,
+      this._diagnostics.clone()
+    );
+  }
+
+  /**
+   * Create the final HAR. No more messages can be added after this.
+   */
+  finalize() {
+    if (!this._har) {
+      this._har = createHar(
+        this._pages,
+        this._entries,
+        this._options,
+        this._diagnostics
+      );
+    }
+    return this._har;
+  }
+}
+
+module.exports = HarBuilder;
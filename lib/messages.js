@@ -0,0 +1,66 @@
+'use strict';
+
+const { name } = require('../package');
+const debug = require('debug')(name);
+
+function parse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    debug(`Unable to parse message '${text}'`);
+    return undefined;
+  }
+}
+
+/**
+ * Convert a message from any of the supported log formats to
+ * { method, params }, or undefined if it isn't an event.
+ *
+ * Supported formats are:
+ * - DevTools protocol events, { method, params }, as emitted by
+ *   chrome-remote-interface and Puppeteer (a sessionId is ignored).
+ * - Raw protocol messages as JSON strings.
+ * - ChromeDriver/Selenium performance logs, { message, timestamp, level },
+ *   where message is a JSON string of { message: { method, params }, webview }.
+ *   The webview is kept as message.webview.
+ */
+function normalizeMessage(message) {
+  if (typeof message === 'string') {
+    message = parse(message);
+  }
+  if (!message || typeof message !== 'object') {
+    return undefined;
+  }
+
+  if (typeof message.method === 'string') {
+    return message;
+  }
+
+  // ChromeDriver wraps the event as a string in a log entry
+  let inner = message.message;
+  if (typeof inner === 'string') {
+    inner = parse(inner);
+  }
+  if (inner && typeof inner === 'object') {
+    if (inner.message && typeof inner.message.method === 'string') {
+      const normalized = {
+        method: inner.message.method,
+        params: inner.message.params
+      };
+      if (inner.webview) {
+        normalized.webview = inner.webview;
+      }
+      return normalized;
+    }
+    if (typeof inner.method === 'string') {
+      return inner;
+    }
+  }
+
+  // Command responses ({ id, result }) and unknown formats
+  return undefined;
+}
+
+module.exports = {
+  normalizeMessage
+};
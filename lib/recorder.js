@@ -0,0 +1,162 @@
+'use strict';
+
+const { name } = require('../package');
+const debug = require('debug')(name);
+const HarBuilder = require('./harBuilder');
+const { includesBody } = require('./responseBody');
+
+// The events HarBuilder uses
+const events = [
+  'Page.frameStartedLoading',
+  'Page.frameScheduledNavigation',
+  'Page.navigatedWithinDocument',
+  'Page.frameAttached',
+  'Page.loadEventFired',
+  'Page.domContentEventFired',
+  'Page.lifecycleEvent',
+  'Network.requestWillBeSent',
+  'Network.requestWillBeSentExtraInfo',
+  'Network.requestServedFromCache',
+  'Network.responseReceived',
+  'Network.responseReceivedExtraInfo',
+  'Network.dataReceived',
+  'Network.loadingFinished',
+  'Network.loadingFailed',
+  'Network.resourceChangedPriority',
+  'Network.eventSourceMessageReceived',
+  'Network.webSocketCreated',
+  'Network.webSocketWillSendHandshakeRequest',
+  'Network.webSocketHandshakeResponseReceived',
+  'Network.webSocketFrameSent',
+  'Network.webSocketFrameReceived',
+  'Network.webSocketFrameError',
+  'Network.webSocketClosed'
+];
+
+/**
+ * Records a HAR from a CDP session, any object with send(method, params)
+ * returning a promise and on(event, listener), like a chrome-remote-interface
+ * client or a Puppeteer or Playwright CDPSession. Enables the Network and
+ * Page domains, and resolves to a recorder once they are enabled. With
+ * includeTextFromResponseBody the response bodies are fetched when each
+ * response has finished loading, and with fetchRequestBodies the request
+ * bodies Chrome left out of the events. The other options are the same as
+ * for harFromMessages.
+ */
+function recordHar(session, options) {
+  options = options || {};
+  const messages = [];
+  // The latest requestWillBeSent and responseReceived for each request id,
+  // the bodies are set on them once they have been fetched.
+  const requests = new Map(),
+    responses = new Map();
+  const pendingBodies = [];
+  let recording = true,
+    har;
+
+  const fetchBodies = requestId => {
+    const response = responses.get(requestId);
+    if (
+      options.includeTextFromResponseBody &&
+      response &&
+      includesBody(response.mimeType, options)
+    ) {
+      pendingBodies.push(
+        session
+          .send('Network.getResponseBody', { requestId })
+          .then(result => {
+            response.body = result.body;
+            response.base64Encoded = result.base64Encoded;
+          })
+          .catch(e =>
+            debug(`Couldn't get response body for ${requestId}: ${e.message}`)
+          )
+      );
+    }
+
+    const request = requests.get(requestId);
+    if (
+      options.fetchRequestBodies &&
+      request &&
+      request.hasPostData &&
+      !request.postData
+    ) {
+      pendingBodies.push(
+        session
+          .send('Network.getRequestPostData', { requestId })
+          .then(result => {
+            if (result.base64Encoded) {
+              request.postDataEntries = [{ bytes: result.postData }];
+            } else {
+              request.postData = result.postData;
+            }
+          })
+          .catch(e =>
+            debug(`Couldn't get request body for ${requestId}: ${e.message}`)
+          )
+      );
+    }
+  };
+
+  const listeners = events.map(method => {
+    const listener = params => {
+      if (!recording) {
+        return;
+      }
+      messages.push({ method, params });
+      switch (method) {
+        case 'Network.requestWillBeSent':
+          requests.set(params.requestId, params.request);
+          break;
+        case 'Network.responseReceived':
+          responses.set(params.requestId, params.response);
+          break;
+        case 'Network.loadingFinished':
+          fetchBodies(params.requestId);
+          break;
+      }
+    };
+    session.on(method, listener);
+    return { method, listener };
+  });
+
+  const removeListeners = () => {
+    const off = session.off || session.removeListener;
+    if (typeof off === 'function') {
+      for (const { method, listener } of listeners) {
+        off.call(session, method, listener);
+      }
+    }
+  };
+
+  return Promise.all([
+    session.send('Page.enable'),
+    session.send('Network.enable')
+  ])
+    .then(() =>
+      session.send('Page.setLifecycleEventsEnabled', { enabled: true })
+    )
+    .then(() => ({
+      /**
+       * Stop recording and resolve to the HAR once all bodies have been
+       * fetched. The domains are left enabled.
+       */
+      stop() {
+        if (!har) {
+          recording = false;
+          removeListeners();
+          har = Promise.all(pendingBodies).then(() =>
+            new HarBuilder(options).addMessages(messages).finalize()
+          );
+        }
+        return har;
+      }
+    }))
+    .catch(e => {
+      recording = false;
+      removeListeners();
+      throw e;
+    });
+}
+
+module.exports = recordHar;
@@ -0,0 +1,276 @@
+'use strict';
+
+const defaultReplacement = '[REDACTED]';
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toGlobalRegExp = pattern =>
+  pattern instanceof RegExp
+    ? new RegExp(
+        pattern.source,
+        pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`
+      )
+    : new RegExp(pattern, 'g');
+
+const lowerCaseSet = names =>
+  new Set((names || []).map(name => name.toLowerCase()));
+
+/**
+ * Create functions that mask sensitive values in HAR entries, pages and
+ * diagnostics issues, based on the redact option: { headers, cookies, params,
+ * patterns, replacement }. Names are matched case insensitively. Sizes are
+ * left as they were on the wire, and the fields that were changed are listed
+ * in entry._redacted.
+ */
+module.exports = function createRedactor(options) {
+  const replacement =
+    options.replacement === undefined
+      ? defaultReplacement
+      : String(options.replacement);
+  const headers = lowerCaseSet(options.headers),
+    cookies = lowerCaseSet(options.cookies),
+    params = lowerCaseSet(options.params);
+  const patterns = (options.patterns || []).map(toGlobalRegExp);
+
+  const paramNames = Array.from(params)
+    .map(escapeRegExp)
+    .join('|');
+  // name=value pairs in URLs and url encoded text
+  const urlParamRegExp = paramNames
+    ? new RegExp(`(^|[?&;])(${paramNames})=([^&#;\\s"]*)`, 'gi')
+    : undefined;
+  // "name": value pairs in JSON text
+  const jsonParamRegExp = paramNames
+    ? new RegExp(
+        `("(?:${paramNames})"\\s*:\\s*)("(?:[^"\\\\]|\\\\.)*"|[^,}\\]\\s]+)`,
+        'gi'
+      )
+    : undefined;
+
+  function redactPatterns(value) {
+    return patterns.reduce(
+      (result, pattern) => result.replace(pattern, () => replacement),
+      value
+    );
+  }
+
+  function redactUrlParams(value) {
+    if (!urlParamRegExp) {
+      return value;
+    }
+    return value.replace(
+      urlParamRegExp,
+      (match, prefix, name) => `${prefix}${name}=${replacement}`
+    );
+  }
+
+  function redactText(value) {
+    let result = redactUrlParams(value);
+    if (jsonParamRegExp) {
+      result = result.replace(
+        jsonParamRegExp,
+        (match, key) => `${key}${JSON.stringify(replacement)}`
+      );
+    }
+    return redactPatterns(result);
+  }
+
+  function redactCookie(cookie) {
+    const separator = cookie.indexOf('=');
+    if (separator < 0) {
+      return cookie;
+    }
+    const name = cookie.slice(0, separator).trim();
+    return cookies.has(name.toLowerCase())
+      ? `${cookie.slice(0, separator)}=${replacement}`
+      : cookie;
+  }
+
+  function redactCookieHeader(value) {
+    return value
+      .split(';')
+      .map(redactCookie)
+      .join(';');
+  }
+
+  function redactSetCookieHeader(value) {
+    return value
+      .split('\n')
+      .map(line => {
+        const attributes = line.split(';');
+        attributes[0] = redactCookie(attributes[0]);
+        return attributes.join(';');
+      })
+      .join('\n');
+  }
+
+  function redactHeaderValue(header) {
+    const name = header.name.toLowerCase();
+    let value = header.value;
+    if (name === 'cookie') {
+      value = redactCookieHeader(value);
+    } else if (name === 'set-cookie') {
+      value = redactSetCookieHeader(value);
+    }
+    // Headers like Referer and Location can include query parameters
+    return redactPatterns(redactUrlParams(value));
+  }
+
+  // Replace the values of a list of { name, value } in place, returns true
+  // if any value changed.
+  function redactNameValues(list, names, redactValue) {
+    let changed = false;
+    for (const item of list || []) {
+      const redactName = names.has(item.name.toLowerCase());
+      if (!redactName && typeof item.value !== 'string') {
+        continue;
+      }
+      const value = redactName ? replacement : redactValue(item);
+      if (value !== item.value) {
+        item.value = value;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  const redactValue = item => redactPatterns(item.value);
+
+  // The url of the entry that set a cookie, when cookies are tracked
+  function redactCookieOrigins(list) {
+    for (const cookie of list || []) {
+      if (cookie._origin) {
+        cookie._origin.url = redactPatterns(
+          redactUrlParams(cookie._origin.url)
+        );
+      }
+    }
+  }
+
+  // Cookies Chrome blocked keep their value, and the Set-Cookie line for
+  // blocked response cookies
+  function redactBlockedCookies(list) {
+    let changed = redactNameValues(list, cookies, redactValue);
+    for (const cookie of list || []) {
+      if (cookie.cookieLine) {
+        const cookieLine = redactPatterns(
+          redactSetCookieHeader(cookie.cookieLine)
+        );
+        changed = changed || cookieLine !== cookie.cookieLine;
+        cookie.cookieLine = cookieLine;
+      }
+    }
+    return changed;
+  }
+
+  function redactEntry(entry) {
+    const redacted = [];
+    const request = entry.request,
+      response = entry.response;
+
+    if (redactNameValues(request.headers, headers, redactHeaderValue)) {
+      redacted.push('request.headers');
+    }
+    if (redactNameValues(request.cookies, cookies, redactValue)) {
+      redacted.push('request.cookies');
+    }
+    redactCookieOrigins(request.cookies);
+    if (redactBlockedCookies(request._blockedCookies)) {
+      redacted.push('request._blockedCookies');
+    }
+    if (redactNameValues(request.queryString, params, redactValue)) {
+      redacted.push('request.queryString');
+    }
+
+    const url = redactPatterns(redactUrlParams(request.url));
+    if (url !== request.url) {
+      request.url = url;
+      redacted.push('request.url');
+    }
+
+    const postData = request.postData;
+    if (postData) {
+      let changed = redactNameValues(postData.params, params, redactValue);
+      if (postData.text !== undefined) {
+        const text = redactText(postData.text);
+        changed = changed || text !== postData.text;
+        postData.text = text;
+      }
+      if (changed) {
+        redacted.push('request.postData');
+      }
+    }
+
+    if (response) {
+      if (redactNameValues(response.headers, headers, redactHeaderValue)) {
+        redacted.push('response.headers');
+      }
+      if (redactNameValues(response.cookies, cookies, redactValue)) {
+        redacted.push('response.cookies');
+      }
+      redactCookieOrigins(response.cookies);
+      if (redactBlockedCookies(response._blockedCookies)) {
+        redacted.push('response._blockedCookies');
+      }
+      if (response.redirectURL) {
+        const redirectURL = redactPatterns(
+          redactUrlParams(response.redirectURL)
+        );
+        if (redirectURL !== response.redirectURL) {
+          response.redirectURL = redirectURL;
+          redacted.push('response.redirectURL');
+        }
+      }
+    }
+
+    if (entry._initiator_detail) {
+      const detail = redactPatterns(redactUrlParams(entry._initiator_detail));
+      if (detail !== entry._initiator_detail) {
+        entry._initiator_detail = detail;
+        redacted.push('_initiator_detail');
+      }
+    }
+    // The plain initiator url is set from the initiator details
+    if (entry._initiator) {
+      entry._initiator = redactPatterns(redactUrlParams(entry._initiator));
+    }
+    // The same URLs as the previous requests in a redirect chain
+    if (entry._redirectedFrom) {
+      entry._redirectedFrom = redactPatterns(
+        redactUrlParams(entry._redirectedFrom)
+      );
+    }
+    for (const redirect of entry._redirects || []) {
+      redirect.url = redactPatterns(redactUrlParams(redirect.url));
+    }
+
+    if (redacted.length > 0) {
+      entry._redacted = redacted;
+    }
+    return entry;
+  }
+
+  function redactPage(page) {
+    // The title is the URL of the first request if the page has no title
+    const title = redactPatterns(redactUrlParams(page.title));
+    if (title !== page.title) {
+      page.title = title;
+      page._redacted = ['title'];
+    }
+    return page;
+  }
+
+  // Diagnostics have the URLs of the requests, and the descriptions can
+  // include URLs and whole messages
+  function redactIssue(issue) {
+    const redacted = Object.assign({}, issue, {
+      description: redactText(issue.description)
+    });
+    if (issue.url !== undefined) {
+      redacted.url = redactPatterns(redactUrlParams(issue.url));
+    }
+    return redacted;
+  }
+
+  return { redactEntry, redactPage, redactIssue };
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+const { StringDecoder } = require('string_decoder');
+
+const baseMimeType = mimeType =>
+  (mimeType || '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase();
+
+// Mime types can end with a wildcard, e.g. image/*
+function matchesMimeType(mimeType, patterns) {
+  return patterns.some(pattern => {
+    pattern = pattern.toLowerCase();
+    return pattern.endsWith('*')
+      ? mimeType.startsWith(pattern.slice(0, -1))
+      : mimeType === pattern;
+  });
+}
+
+// The size of the body as it is stored in the HAR, so base64 encoded bodies
+// count a third more than their decoded size.
+function textSize(content) {
+  return content.encoding === 'base64'
+    ? content.text.length
+    : Buffer.byteLength(content.text, 'utf8');
+}
+
+function truncate(content, maxSize) {
+  if (content.encoding === 'base64') {
+    // Keep whole groups of four characters, so the text can still be decoded
+    content.text = content.text.slice(0, maxSize - maxSize % 4);
+  } else {
+    // The decoder leaves out a character that is cut in the middle
+    content.text = new StringDecoder('utf8').write(
+      Buffer.from(content.text, 'utf8').slice(0, maxSize)
+    );
+  }
+  content._truncated = true;
+}
+
+module.exports = {
+  /**
+   * Whether the body of a response with the mime type should be included,
+   * based on includeBodyMimeTypes and excludeBodyMimeTypes.
+   */
+  includesBody(mimeType, options) {
+    mimeType = baseMimeType(mimeType);
+    return !(
+      (options.includeBodyMimeTypes &&
+        !matchesMimeType(mimeType, options.includeBodyMimeTypes)) ||
+      (options.excludeBodyMimeTypes &&
+        matchesMimeType(mimeType, options.excludeBodyMimeTypes))
+    );
+  },
+  /**
+   * Add the body the caller set on the protocol response to the HAR content,
+   * if it matches the mime type lists, truncated to maxBodySize.
+   */
+  addResponseBody(content, response, options) {
+    if (
+      options == null ||
+      !options.includeTextFromResponseBody ||
+      response.body === undefined
+    ) {
+      return;
+    }
+    if (!module.exports.includesBody(content.mimeType, options)) {
+      return;
+    }
+
+    content.text = response.body;
+    // Network.getResponseBody returns binary bodies base64 encoded
+    if (response.base64Encoded) {
+      content.encoding = 'base64';
+    }
+    if (
+      typeof content.text === 'string' &&
+      textSize(content) > options.maxBodySize
+    ) {
+      truncate(content, options.maxBodySize);
+    }
+  },
+  /**
+   * Keep the bodies of the entries, in order, as long as they fit within
+   * maxTotalBodySize. Bodies that don't fit are removed and the content gets
+   * _stripped.
+   */
+  applyBodyBudget(entries, maxTotalBodySize) {
+    let remaining = maxTotalBodySize;
+    for (const entry of entries) {
+      const content = entry.response.content;
+      if (typeof content.text !== 'string') {
+        continue;
+      }
+      const size = textSize(content);
+      if (size <= remaining) {
+        remaining -= size;
+      } else {
+        delete content.text;
+        delete content.encoding;
+        content._stripped = true;
+      }
+    }
+    return entries;
+  }
+};
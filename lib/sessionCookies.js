@@ -0,0 +1,127 @@
+'use strict';
+
+const { CookieJar } = require('tough-cookie');
+
+// tough-cookie doesn't know about SameSite, so it ends up in the extensions
+function sameSite(cookie) {
+  for (const extension of cookie.extensions || []) {
+    const [name, value] = extension.split('=');
+    if (name.trim().toLowerCase() === 'samesite' && value) {
+      return value.trim();
+    }
+  }
+  return undefined;
+}
+
+const cookieKey = cookie => `${cookie.domain};${cookie.path};${cookie.key}`;
+
+// Cookies expire relative to when the messages were captured, not now
+const captureTime = entry =>
+  entry.__wallTime ? new Date(entry.__wallTime * 1000) : undefined;
+
+function setCookieLines(response) {
+  return response.headers
+    .filter(header => header.name.toLowerCase() === 'set-cookie')
+    .reduce((lines, header) => lines.concat(header.value.split('\n')), [])
+    .filter(Boolean);
+}
+
+/**
+ * Keeps the cookies set by responses over a whole session in a cookie jar,
+ * to tell which cookies were sent with a request and which entry set them.
+ */
+class SessionCookies {
+  constructor() {
+    this._jar = new CookieJar();
+    // The entry that set each cookie, by domain, path and name
+    this._origins = new Map();
+  }
+
+  /**
+   * Store the cookies set by the response of an entry, and add sameSite and
+   * _origin to its response cookies.
+   */
+  addResponse(entry) {
+    const response = entry.response;
+    // Responses from the cache don't set cookies
+    if (entry._fromCache) {
+      return;
+    }
+    const url = entry.request.url;
+    const origin = { requestId: entry._requestId, url };
+    for (const line of setCookieLines(response)) {
+      const cookie = this._jar.setCookieSync(line, url, {
+        now: captureTime(entry),
+        ignoreError: true
+      });
+      if (!cookie) {
+        continue;
+      }
+      this._origins.set(cookieKey(cookie), origin);
+
+      const responseCookie = response.cookies.find(
+        c => c.name === cookie.key && c.value === cookie.value
+      );
+      if (responseCookie) {
+        if (sameSite(cookie)) {
+          responseCookie.sameSite = sameSite(cookie);
+        }
+        responseCookie._origin = Object.assign({}, origin);
+      }
+    }
+  }
+
+  /**
+   * The cookies in the jar that match the request of an entry, with the
+   * attributes they were set with.
+   */
+  sentCookies(entry) {
+    const now = captureTime(entry);
+    return this._jar
+      .getCookiesSync(entry.request.url, { now, http: true })
+      .map(cookie => {
+        const expiryTime = cookie.expiryTime();
+        const sentCookie = {
+          name: cookie.key,
+          value: cookie.value,
+          path: cookie.path,
+          domain: cookie.domain,
+          expires:
+            expiryTime === Infinity
+              ? undefined
+              : new Date(expiryTime).toISOString(),
+          httpOnly: cookie.httpOnly,
+          secure: cookie.secure
+        };
+        if (sameSite(cookie)) {
+          sentCookie.sameSite = sameSite(cookie);
+        }
+        const origin = this._origins.get(cookieKey(cookie));
+        if (origin) {
+          sentCookie._origin = Object.assign({}, origin);
+        }
+        return sentCookie;
+      });
+  }
+}
+
+/**
+ * Add the attributes from the cookie jar to the request cookies of an entry.
+ * Cookies that weren't set by a response in the session, e.g. by JavaScript,
+ * are left as they are.
+ */
+function addRequestCookieAttributes(entry, sentCookies) {
+  for (const cookie of entry.request.cookies) {
+    const sentCookie = sentCookies.find(
+      c => c.name === cookie.name && c.value === cookie.value
+    );
+    if (sentCookie) {
+      Object.assign(cookie, sentCookie);
+    }
+  }
+}
+
+module.exports = {
+  SessionCookies,
+  addRequestCookieAttributes
+};
@@ -0,0 +1,193 @@
+'use strict';
+
+const net = require('net');
+const urlParser = require('url');
+const { getPublicSuffix } = require('tough-cookie');
+const { resolveParents } = require('./dependencies');
+
+const round = (value, fractionalDigits = 3) =>
+  Number(value.toFixed(fractionalDigits));
+
+function hostname(url) {
+  return urlParser.parse(url).hostname || '';
+}
+
+// The domain is the public suffix and one more label of the host name, e.g.
+// www.sitespeed.io and cdn.sitespeed.io are both first party for sitespeed.io
+// and www.bbc.co.uk for bbc.co.uk. IP addresses and hosts like localhost are
+// their own domain.
+function baseDomain(host) {
+  if (net.isIP(host)) {
+    return host;
+  }
+  return getPublicSuffix(host) || host;
+}
+
+function transferSize(entry) {
+  const response = entry.response;
+  if (response._transferSize >= 0) {
+    return response._transferSize;
+  }
+  if (response.headersSize >= 0 && response.bodySize >= 0) {
+    return response.headersSize + response.bodySize;
+  }
+  return 0;
+}
+
+function mimeType(entry) {
+  const type = entry.response.content.mimeType || '';
+  return type.split(';')[0].trim() || 'unknown';
+}
+
+function isCached(entry) {
+  return (
+    (entry.cache && entry.cache.beforeRequest !== undefined) ||
+    entry._fromCache !== undefined
+  );
+}
+
+function isRedirect(entry) {
+  const status = entry.response.status;
+  return status >= 300 && status < 400 && !!entry.response.redirectURL;
+}
+
+function addTo(group, key, entry) {
+  const stats = group[key] || { requests: 0, transferSize: 0, contentSize: 0 };
+  stats.requests += 1;
+  stats.transferSize += transferSize(entry);
+  stats.contentSize += entry.response.content.size;
+  group[key] = stats;
+}
+
+// The longest chain of requests, where each request was caused by the
+// previous one, measured as the sum of the request times.
+function criticalPathDuration(entries) {
+  const parents = resolveParents(entries);
+  const durations = new Map();
+  const chainDuration = entry => {
+    if (!durations.has(entry)) {
+      const parent = parents.get(entry);
+      durations.set(
+        entry,
+        Math.max(0, entry.time) + (parent ? chainDuration(parent) : 0)
+      );
+    }
+    return durations.get(entry);
+  };
+
+  return round(
+    entries.reduce(
+      (longest, entry) => Math.max(longest, chainDuration(entry)),
+      0
+    )
+  );
+}
+
+function summarizeEntries(entries, isFirstParty) {
+  const summary = {
+    requests: entries.length,
+    transferSize: 0,
+    contentSize: 0,
+    byType: {},
+    byMimeType: {},
+    byDomain: {},
+    firstParty: { requests: 0, transferSize: 0, contentSize: 0 },
+    thirdParty: { requests: 0, transferSize: 0, contentSize: 0 },
+    cache: { hits: 0, misses: 0, hitRatio: 0 },
+    httpVersions: {},
+    redirects: 0,
+    errors: {},
+    connections: { opened: 0, reused: 0 },
+    pushed: 0,
+    criticalPathDuration: criticalPathDuration(entries)
+  };
+
+  const connections = new Set();
+  for (const entry of entries) {
+    const response = entry.response;
+    summary.transferSize += transferSize(entry);
+    summary.contentSize += response.content.size;
+
+    addTo(summary.byType, entry._resourceType || 'other', entry);
+    addTo(summary.byMimeType, mimeType(entry), entry);
+    addTo(summary.byDomain, hostname(entry.request.url), entry);
+    const party = isFirstParty(entry) ? 'firstParty' : 'thirdParty';
+    addTo(summary, party, entry);
+
+    if (isCached(entry)) {
+      summary.cache.hits += 1;
+    } else {
+      summary.cache.misses += 1;
+      // Cached responses don't use a connection
+      if (entry.connection !== undefined) {
+        if (connections.has(entry.connection)) {
+          summary.connections.reused += 1;
+        } else {
+          connections.add(entry.connection);
+        }
+      }
+    }
+
+    const httpVersion = response.httpVersion || 'unknown';
+    summary.httpVersions[httpVersion] =
+      (summary.httpVersions[httpVersion] || 0) + 1;
+
+    if (isRedirect(entry)) {
+      summary.redirects += 1;
+    }
+    // Redirects that were collapsed into the entry
+    summary.redirects += (entry._redirects || []).length;
+    // Status 0 is used for requests that failed without a response
+    if (response.status >= 400 || response.status === 0) {
+      summary.errors[response.status] =
+        (summary.errors[response.status] || 0) + 1;
+    }
+    if (entry._was_pushed) {
+      summary.pushed += 1;
+    }
+  }
+
+  summary.connections.opened = connections.size;
+  if (entries.length > 0) {
+    summary.cache.hitRatio = round(summary.cache.hits / entries.length);
+  }
+  return summary;
+}
+
+/**
+ * Summarize a HAR per page and for all pages: number of requests and bytes
+ * by resource type, mime type, domain and first or third party, cache hits,
+ * HTTP versions, redirects, errors, connection reuse, pushed responses and
+ * the critical path duration.
+ */
+module.exports = function summarize(har) {
+  const pages = har.log.pages || [];
+  const entries = har.log.entries;
+
+  // The first party domain of a page is the domain of its first request
+  const firstPartyDomains = new Map();
+  for (const entry of entries) {
+    if (!firstPartyDomains.has(entry.pageref)) {
+      firstPartyDomains.set(
+        entry.pageref,
+        baseDomain(hostname(entry.request.url))
+      );
+    }
+  }
+  const isFirstParty = entry =>
+    baseDomain(hostname(entry.request.url)) ===
+    firstPartyDomains.get(entry.pageref);
+
+  return {
+    pages: pages.map(page =>
+      Object.assign(
+        { id: page.id, title: page.title },
+        summarizeEntries(
+          entries.filter(entry => entry.pageref === page.id),
+          isFirstParty
+        )
+      )
+    ),
+    total: summarizeEntries(entries, isFirstParty)
+  };
+};
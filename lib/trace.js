@@ -0,0 +1,246 @@
+'use strict';
+
+const { name } = require('../package');
+const debug = require('debug')(name);
+
+// Trace event timestamps are in microseconds, protocol timestamps in seconds
+const toSeconds = ts => ts / 1000000;
+
+function traceStartTime(trace, options) {
+  const metadata = trace.metadata || {};
+  const startTime =
+    options.traceStartTime ||
+    metadata.startTime ||
+    metadata['trace-capture-datetime'];
+  if (startTime === undefined) {
+    debug('No start time in trace, dates will be relative to 1970');
+    return 0;
+  }
+  return new Date(startTime).getTime() / 1000;
+}
+
+function toHeaders(headers) {
+  // Newer traces include response headers as a list of name/value pairs
+  if (Array.isArray(headers)) {
+    return headers.reduce((result, header) => {
+      result[header.name] = header.value;
+      return result;
+    }, {});
+  }
+  return headers || {};
+}
+
+/**
+ * Convert Chrome trace events (the devtools.timeline category) to the
+ * DevTools protocol messages harFromMessages use.
+ */
+function messagesFromTrace(trace, options) {
+  options = options || {};
+  const traceEvents = Array.isArray(trace) ? trace : trace.traceEvents || [];
+
+  // Sort by time, but keep the order of events with the same timestamp.
+  const events = traceEvents
+    .map((event, index) => ({ event, index }))
+    .filter(({ event }) => typeof event.ts === 'number' && event.ph !== 'M')
+    .sort((a, b) => a.event.ts - b.event.ts || a.index - b.index)
+    .map(({ event }) => event);
+
+  const firstTimestamp = events.length > 0 ? toSeconds(events[0].ts) : 0;
+  const startWallTime = traceStartTime(trace, options);
+  const wallTime = timestamp => startWallTime + (timestamp - firstTimestamp);
+
+  const messages = [];
+  const rootFrames = new Set(),
+    parentFrames = new Map(),
+    startedFrames = new Set(),
+    receivedDataLengths = new Map();
+
+  const rootFrame = frameId => {
+    let frame = frameId;
+    while (parentFrames.has(frame)) {
+      frame = parentFrames.get(frame);
+    }
+    return frame;
+  };
+
+  const addFrame = (frameId, parentId) => {
+    if (!frameId) {
+      return;
+    }
+    if (parentId) {
+      if (!parentFrames.has(frameId)) {
+        parentFrames.set(frameId, parentId);
+        messages.push({
+          method: 'Page.frameAttached',
+          params: { frameId, parentFrameId: parentId }
+        });
+      }
+    } else {
+      rootFrames.add(frameId);
+    }
+  };
+
+  for (const event of events) {
+    const args = event.args || {};
+    const data = args.data || {};
+    const timestamp = toSeconds(event.ts);
+
+    switch (event.name) {
+      case 'TracingStartedInBrowser':
+        for (const frame of data.frames || []) {
+          addFrame(frame.frame, frame.parent);
+        }
+        break;
+
+      case 'TracingStartedInPage':
+        addFrame(data.page);
+        break;
+
+      case 'FrameCommittedInBrowser':
+        addFrame(data.frame, data.parent);
+        break;
+
+      case 'ResourceSendRequest':
+        {
+          const frameId = data.frame;
+          const root = rootFrame(frameId);
+          // Pages are created when the root frame starts loading.
+          if (!startedFrames.has(root)) {
+            startedFrames.add(root);
+            messages.push({
+              method: 'Page.frameStartedLoading',
+              params: { frameId: root }
+            });
+          }
+          messages.push({
+            method: 'Network.requestWillBeSent',
+            params: {
+              requestId: data.requestId,
+              frameId,
+              timestamp,
+              wallTime: wallTime(timestamp),
+              initiator: { type: 'other' },
+              type: data.resourceType,
+              request: {
+                url: data.url,
+                method: data.requestMethod || 'GET',
+                headers: {},
+                initialPriority: data.priority
+              }
+            }
+          });
+        }
+        break;
+
+      case 'ResourceChangePriority':
+        messages.push({
+          method: 'Network.resourceChangedPriority',
+          params: {
+            requestId: data.requestId,
+            newPriority: data.priority,
+            timestamp
+          }
+        });
+        break;
+
+      case 'ResourceReceiveResponse':
+        messages.push({
+          method: 'Network.responseReceived',
+          params: {
+            requestId: data.requestId,
+            frameId: data.frame,
+            timestamp,
+            response: {
+              url: data.url,
+              status: data.statusCode,
+              statusText: data.statusText || '',
+              headers: toHeaders(data.headers),
+              mimeType: data.mimeType || 'x-unknown',
+              protocol: data.protocol || '',
+              connectionId: data.connectionId || 0,
+              remoteIPAddress: data.remoteIPAddress,
+              encodedDataLength: data.encodedDataLength,
+              fromDiskCache: data.fromCache === true,
+              fromServiceWorker: data.fromServiceWorker === true,
+              timing: data.timing
+            }
+          }
+        });
+        break;
+
+      case 'ResourceReceivedData':
+        receivedDataLengths.set(
+          data.requestId,
+          (receivedDataLengths.get(data.requestId) || 0) +
+            (data.encodedDataLength || 0)
+        );
+        break;
+
+      case 'ResourceFinish':
+        {
+          // finishTime is when the last byte was received, while the event
+          // itself can come later
+          const finishTime = data.finishTime > 0 ? data.finishTime : timestamp;
+          if (data.didFail) {
+            messages.push({
+              method: 'Network.loadingFailed',
+              params: {
+                requestId: data.requestId,
+                timestamp: finishTime,
+                errorText: 'net::ERR_FAILED',
+                canceled: false
+              }
+            });
+            break;
+          }
+          const dataLength =
+            data.decodedBodyLength >= 0
+              ? data.decodedBodyLength
+              : receivedDataLengths.get(data.requestId) || 0;
+          messages.push(
+            {
+              method: 'Network.dataReceived',
+              params: {
+                requestId: data.requestId,
+                timestamp: finishTime,
+                dataLength,
+                encodedDataLength: 0
+              }
+            },
+            {
+              method: 'Network.loadingFinished',
+              params: {
+                requestId: data.requestId,
+                timestamp: finishTime,
+                encodedDataLength: data.encodedDataLength
+              }
+            }
+          );
+        }
+        break;
+
+      case 'domContentLoadedEventEnd':
+      case 'loadEventEnd':
+        {
+          // These are emitted for every frame, only use the root frames.
+          if (!rootFrames.has(args.frame)) {
+            break;
+          }
+          messages.push({
+            method:
+              event.name === 'loadEventEnd'
+                ? 'Page.loadEventFired'
+                : 'Page.domContentEventFired',
+            params: { timestamp }
+          });
+        }
+        break;
+    }
+  }
+
+  return messages;
+}
+
+module.exports = {
+  messagesFromTrace
+};
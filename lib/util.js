@@ -1,11 +1,11 @@
 'use strict';
-const urlParser = require('url');
 const { name } = require('../package');
 const debug = require('debug')(name);
+const { getHeaderValue } = require('./headers');
 
 const isEmpty = o => !o;
 
-module.exports = {
+const util = {
   isHttp1x(version) {
     return version.toLowerCase().startsWith('http/1.');
   },
@@ -13,6 +13,16 @@ module.exports = {
   formatMillis(time, fractionalDigits = 3) {
     return Number(Number(time).toFixed(fractionalDigits));
   },
+  calculateTime(timings) {
+    return (
+      Math.max(0, timings.blocked) +
+      Math.max(0, timings.dns) +
+      Math.max(0, timings.connect) +
+      Math.max(0, timings.send) +
+      Math.max(0, timings.wait) +
+      Math.max(0, timings.receive)
+    );
+  },
   toNameValuePairs(object) {
     return Object.keys(object).reduce((result, name) => {
       const value = object[name];
@@ -27,29 +37,72 @@ module.exports = {
       }
     }, []);
   },
-  parseUrlEncoded(data) {
-    const params = urlParser.parse(`?${data}`, true).query;
-    return this.toNameValuePairs(params);
+  parseMultipart(contentType, data) {
+    const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!boundaryMatch) {
+      throw new Error('No boundary in multipart content type');
+    }
+    const boundary = `--${(boundaryMatch[1] || boundaryMatch[2]).trim()}`;
+
+    // The first part is the preamble and the last one what follows the
+    // closing boundary, which starts with --
+    const parts = data.split(boundary);
+    const epilogue = parts.pop();
+    if (parts.length < 2 || !epilogue.startsWith('--')) {
+      throw new Error('Missing multipart boundaries');
+    }
+
+    return parts.slice(1).map(part => {
+      const match = /^\r?\n([\s\S]*?)\r?\n\r?\n([\s\S]*?)\r?\n$/.exec(part);
+      if (!match) {
+        throw new Error('Malformed multipart part');
+      }
+      const headers = match[1].split(/\r?\n/).reduce((result, line) => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          result[line.slice(0, separator).trim()] = line
+            .slice(separator + 1)
+            .trim();
+        }
+        return result;
+      }, {});
+
+      const disposition = getHeaderValue(headers, 'Content-Disposition');
+      const name = /\bname=(?:"([^"]*)"|([^;\s]*))/i.exec(disposition);
+      if (!name) {
+        throw new Error('Multipart part without name');
+      }
+      const param = {
+        name: name[1] !== undefined ? name[1] : name[2],
+        value: match[2]
+      };
+
+      const fileName = /\bfilename=(?:"([^"]*)"|([^;\s]*))/i.exec(disposition);
+      if (fileName) {
+        param.fileName = fileName[1] !== undefined ? fileName[1] : fileName[2];
+      }
+      const partContentType = getHeaderValue(headers, 'Content-Type');
+      if (partContentType) {
+        param.contentType = partContentType;
+      }
+      return param;
+    });
   },
   parsePostData(contentType, postData) {
     if (isEmpty(contentType) || isEmpty(postData)) {
       return undefined;
     }
 
+    // Url encoded and JSON bodies are kept as text, the way they were sent.
+    // Only multipart bodies are split into params, so uploaded files can be
+    // told apart from the other fields.
     try {
-      if (/^application\/x-www-form-urlencoded/.test(contentType)) {
+      if (/^multipart\/form-data/.test(contentType)) {
         return {
           mimeType: contentType,
-          params: this.parseUrlEncoded(postData)
+          params: util.parseMultipart(contentType, postData)
         };
       }
-      if (/^application\/json/.test(contentType)) {
-        return {
-          mimeType: contentType,
-          params: this.toNameValuePairs(JSON.parse(postData))
-        };
-      }
-      // FIXME parse multipart/form-data as well.
     } catch (e) {
       debug(`Unable to parse post data '${postData}' of type ${contentType}`);
       // Fall back to include postData as text.
@@ -59,7 +112,44 @@ module.exports = {
       text: postData
     };
   },
+  // The request body as text and its size in bytes. Newer versions of Chrome
+  // leave out large and binary bodies and only set hasPostData, or send the
+  // body as base64 encoded postDataEntries.
+  readPostData(request) {
+    const entries = request.postDataEntries || [];
+    const bytes =
+      entries.length > 0 && entries.every(entry => entry.bytes !== undefined)
+        ? Buffer.concat(
+            entries.map(entry => Buffer.from(entry.bytes, 'base64'))
+          )
+        : undefined;
+    const text = !isEmpty(request.postData)
+      ? request.postData
+      : bytes && bytes.toString('utf8');
+
+    if (text === undefined || text === '') {
+      if (!request.hasPostData && entries.length === 0) {
+        return { size: 0 };
+      }
+      const contentLength = Number(
+        getHeaderValue(request.headers, 'Content-Length')
+      );
+      return {
+        size:
+          Number.isInteger(contentLength) && contentLength > 0
+            ? contentLength
+            : -1,
+        missing: true
+      };
+    }
+    return {
+      text,
+      size: bytes ? bytes.length : Buffer.byteLength(text, 'utf8')
+    };
+  },
   isSupportedProtocol(url) {
     return /^https?:/.test(url);
   }
 };
+
+module.exports = util;
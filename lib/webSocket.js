@@ -0,0 +1,130 @@
+'use strict';
+const urlParser = require('url');
+const dayjs = require('dayjs');
+
+const { parseRequestCookies, parseResponseCookies } = require('./cookies');
+const { getHeaderValue, parseHeaders } = require('./headers');
+const { formatMillis, calculateTime, toNameValuePairs } = require('./util');
+const populateEntryFromInitiator = require('./entryFromInitiator');
+
+function wallTime(entry, timestamp) {
+  return entry.__wallTime + (timestamp - entry.__requestWillBeSentTime);
+}
+
+// Web sockets are represented the same way as Chrome DevTools does when
+// exporting HAR files: the handshake is the entry and the frames are added as
+// _webSocketMessages.
+module.exports = {
+  createEntry(webSocket, params, page) {
+    const url = urlParser.parse(webSocket.url, true);
+    const headers = params.request.headers;
+
+    const entry = {
+      cache: {},
+      startedDateTime: '',
+      __requestWillBeSentTime: params.timestamp,
+      __wallTime: params.wallTime,
+      _requestId: params.requestId,
+      _requestTime: params.timestamp,
+      pageref: page.id,
+      request: {
+        method: 'GET',
+        url: urlParser.format(url),
+        httpVersion: 'HTTP/1.1',
+        queryString: toNameValuePairs(url.query),
+        headersSize: -1,
+        bodySize: 0,
+        cookies: parseRequestCookies(getHeaderValue(headers, 'Cookie')),
+        headers: parseHeaders(headers)
+      },
+      time: 0,
+      _resourceType: 'websocket',
+      _webSocketMessages: []
+    };
+
+    // wallTime is not necessarily monotonic, timestamp is. So calculate startedDateTime from timestamp diffs.
+    const entrySecs = page.__timestamp
+      ? page.__wallTime + (params.timestamp - page.__timestamp)
+      : params.wallTime;
+    entry.startedDateTime = dayjs.unix(entrySecs).toISOString();
+
+    if (webSocket.initiator) {
+      entry._initiator_detail = JSON.stringify(webSocket.initiator);
+      entry._initiator_type = webSocket.initiator.type;
+      populateEntryFromInitiator(entry, webSocket.initiator);
+    }
+
+    return entry;
+  },
+  populateEntryFromHandshakeResponse(entry, params) {
+    const response = params.response;
+
+    if (response.requestHeaders) {
+      entry.request.headers = parseHeaders(response.requestHeaders);
+      entry.request.cookies = parseRequestCookies(
+        getHeaderValue(response.requestHeaders, 'Cookie')
+      );
+    }
+    if (response.requestHeadersText) {
+      entry.request.headersSize = response.requestHeadersText.length;
+    }
+
+    entry.response = {
+      httpVersion: 'HTTP/1.1',
+      redirectURL: '',
+      status: response.status,
+      statusText: response.statusText,
+      content: {
+        mimeType: 'x-unknown',
+        size: 0
+      },
+      headersSize: response.headersText ? response.headersText.length : -1,
+      bodySize: 0,
+      cookies: parseResponseCookies(
+        getHeaderValue(response.headers, 'Set-Cookie')
+      ),
+      headers: parseHeaders(response.headers)
+    };
+
+    entry.timings = {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      send: 0,
+      wait: formatMillis(
+        (params.timestamp - entry.__requestWillBeSentTime) * 1000
+      ),
+      receive: 0,
+      ssl: -1
+    };
+    entry.__handshakeResponseTime = params.timestamp;
+    entry.time = calculateTime(entry.timings);
+  },
+  addFrame(entry, type, params) {
+    const frame = params.response;
+    entry._webSocketMessages.push({
+      type,
+      time: wallTime(entry, params.timestamp),
+      opcode: frame.opcode,
+      data: frame.payloadData
+    });
+  },
+  addFrameError(entry, params) {
+    entry._webSocketMessages.push({
+      type: 'error',
+      time: wallTime(entry, params.timestamp),
+      opcode: -1,
+      data: params.errorMessage
+    });
+  },
+  close(entry, params) {
+    // The socket was open from the handshake until now, so show that as
+    // receive time, like DevTools does.
+    if (entry.timings && entry.__handshakeResponseTime) {
+      entry.timings.receive = formatMillis(
+        (params.timestamp - entry.__handshakeResponseTime) * 1000
+      );
+      entry.time = calculateTime(entry.timings);
+    }
+  }
+};
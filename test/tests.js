@@ -3,11 +3,14 @@ import * as validator from 'har-validator';
 import * as Promise from 'bluebird';
 import * as fs from 'fs';
 import * as path from 'path';
+import * as os from 'os';
+import { spawnSync } from 'child_process';
 import parser from '../';
 
 Promise.promisifyAll(fs);
 
 const PERFLOGSPATH = path.resolve(__dirname, 'perflogs');
+const CLIPATH = path.resolve(__dirname, '..', 'bin', 'chrome-har.js');
 
 /**
  * Validate that, for each tcp connection, the previous request is fully completed before then next starts.
@@ -38,6 +41,13 @@ function validateConnectionOverlap(t, entries) {
   });
 }
 
+function cli(args, input) {
+  return spawnSync(process.execPath, [CLIPATH].concat(args), {
+    input,
+    encoding: 'utf8'
+  });
+}
+
 function perflog(filename) {
   return path.resolve(PERFLOGSPATH, filename);
 }
@@ -56,6 +66,45 @@ function parsePerflog(perflogPath, options) {
     .tap(har => validator.har(har));
 }
 
+function readPerflog(perflogPath) {
+  return fs.readFileAsync(perflogPath).then(JSON.parse);
+}
+
+/**
+ * A CDP session that replays perflog messages to its listeners. Commands are
+ * answered by respond(method, params), or rejected if it returns undefined.
+ */
+function fakeSession(messages, respond) {
+  const listeners = new Map();
+  const session = {
+    commands: [],
+    on(method, listener) {
+      listeners.set(method, (listeners.get(method) || []).concat(listener));
+    },
+    removeListener(method, listener) {
+      listeners.set(
+        method,
+        (listeners.get(method) || []).filter(l => l !== listener)
+      );
+    },
+    send(method, params) {
+      session.commands.push(method);
+      const result = respond ? respond(method, params) : {};
+      return result
+        ? Promise.resolve(result)
+        : Promise.reject(new Error(`No result for ${method}`));
+    },
+    replay() {
+      for (const message of messages) {
+        for (const listener of listeners.get(message.method) || []) {
+          listener(message.params);
+        }
+      }
+    }
+  };
+  return session;
+}
+
 function sortedByRequestTime(entries) {
   return entries.sort((e1, e2) => e1._requestTime - e2._requestTime);
 }
@@ -156,3 +205,1071 @@ test('Includes response bodies', t => {
       t.is(log.entries.filter(e => e.response.content.text != null).length, 1)
     );
 });
+
+test('Includes base64 encoded response bodies', t => {
+  const perflogPath = perflog('response-bodies.json');
+  return Promise.all([
+    parsePerflog(perflogPath, { includeTextFromResponseBody: true }),
+    parsePerflog(perflogPath, {
+      includeTextFromResponseBody: true,
+      includeBodyMimeTypes: ['text/html', 'image/*', 'font/*'],
+      excludeBodyMimeTypes: ['font/woff2']
+    })
+  ]).spread((har, filteredHar) => {
+    const [document, image] = har.log.entries.map(e => e.response.content);
+    t.is(document.encoding, undefined);
+    t.is(image.encoding, 'base64');
+    t.is(Buffer.from(image.text, 'base64').length, image.size);
+
+    t.deepEqual(
+      filteredHar.log.entries.map(e => e.response.content.text !== undefined),
+      [true, true, false, false]
+    );
+  });
+});
+
+test('Truncates and strips response bodies', t => {
+  const perflogPath = perflog('response-bodies.json');
+  const contents = har => har.log.entries.map(e => e.response.content);
+  return Promise.all([
+    parsePerflog(perflogPath, {
+      includeTextFromResponseBody: true,
+      maxBodySize: 63
+    }),
+    parsePerflog(perflogPath, {
+      includeTextFromResponseBody: true,
+      maxBodySize: 119
+    }),
+    parsePerflog(perflogPath, {
+      includeTextFromResponseBody: true,
+      maxTotalBodySize: 150
+    })
+  ]).spread((har, multiByteHar, budgetHar) => {
+    const [document, image, font, script] = contents(har);
+    t.is(document._truncated, undefined);
+    t.is(image.text.length, 60);
+    t.true(image._truncated);
+    t.is(font.text.length, 60);
+    t.is(script.text.length, 63);
+
+    // The é at byte 118 and 119 is left out
+    const multiByteScript = contents(multiByteHar)[3];
+    t.true(multiByteScript.text.endsWith("console.log('h"));
+    t.true(multiByteScript._truncated);
+
+    t.deepEqual(contents(budgetHar).map(c => c._stripped), [
+      undefined,
+      undefined,
+      true,
+      true
+    ]);
+    t.is(contents(budgetHar)[2].text, undefined);
+    t.is(contents(budgetHar)[2].encoding, undefined);
+  });
+});
+
+test('HarBuilder produces the same HAR as harFromMessages', t => {
+  const perflogPath = perflog('www.wikipedia.org.json');
+  return fs
+    .readFileAsync(perflogPath)
+    .then(JSON.parse)
+    .then(messages => {
+      const builder = new parser.HarBuilder();
+      for (const message of messages) {
+        builder.addMessage(message);
+      }
+      t.deepEqual(builder.finalize(), parser.harFromMessages(messages));
+    });
+});
+
+test('HarBuilder snapshots do not change the builder state', t => {
+  const perflogPath = perflog('www.sitepeed.io.chrome66.json');
+  return fs
+    .readFileAsync(perflogPath)
+    .then(JSON.parse)
+    .then(messages => {
+      const builder = new parser.HarBuilder();
+      const half = Math.floor(messages.length / 2);
+      builder.addMessages(messages.slice(0, half));
+
+      const snapshot = builder.snapshot();
+      t.deepEqual(builder.snapshot(), snapshot);
+
+      builder.addMessages(messages.slice(half));
+      const har = builder.finalize();
+      t.true(har.log.entries.length >= snapshot.log.entries.length);
+      t.is(
+        JSON.stringify(har),
+        JSON.stringify(parser.harFromMessages(messages))
+      );
+      t.throws(() => builder.addMessage(messages[0]));
+      return validator.har(snapshot);
+    });
+});
+
+test('Generates valid HARs including failed requests', t => {
+  return perflogs().each(filename =>
+    parsePerflog(perflog(filename), { includeFailedRequests: true })
+      .tap(har => t.true(har.log.entries.every(e => e.response)))
+      .catch(e => {
+        t.log(`Failed to generate valid HAR from ${filename}`);
+        throw e;
+      })
+  );
+});
+
+test('Includes failed requests', t => {
+  const perflogPath = perflog('missing-response.json');
+  return parsePerflog(perflogPath, { includeFailedRequests: true })
+    .then(har => har.log)
+    .tap(log => t.is(log.entries.length, 41))
+    .tap(log => {
+      const failed = log.entries.filter(e => e.response._error);
+      t.is(failed.length, 4);
+      t.true(failed.every(e => e.response._canceled));
+
+      const withoutResponse = failed.filter(e => e.response.status === 0);
+      t.is(withoutResponse.length, 3);
+      t.true(withoutResponse.every(e => e.time === e.timings.blocked));
+    });
+});
+
+test('Includes web sockets', t => {
+  const perflogPath = perflog('websocket.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log)
+    .tap(log => t.is(log.entries.length, 2))
+    .tap(log => {
+      const socket = log.entries.find(e => e._resourceType === 'websocket');
+      t.is(socket.request.url, 'wss://www.sitespeed.io/live?channel=news');
+      t.is(socket.response.status, 101);
+      t.is(socket._initiator, 'https://www.sitespeed.io/js/live.js');
+      t.deepEqual(socket._webSocketMessages.map(m => m.type), [
+        'send',
+        'receive',
+        'receive',
+        'error'
+      ]);
+      t.is(socket._webSocketMessages[2].opcode, 2);
+      t.is(socket.timings.receive, 1959);
+    });
+});
+
+test('Includes event source messages', t => {
+  const perflogPath = perflog('ryan.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log.entries.filter(e => e._eventSourceMessages))
+    .tap(entries => t.is(entries.length, 1))
+    .tap(entries => {
+      const message = entries[0]._eventSourceMessages[0];
+      t.is(message.eventName, 'put');
+      t.is(message.time, 354.2);
+      t.true(message.data.startsWith('{"fare-finder-redirection"'));
+    });
+});
+
+test('Limits event source messages', t => {
+  const perflogPath = perflog('ryan.json');
+  return parsePerflog(perflogPath, { maxEventSourceMessages: 0 })
+    .then(har => har.log.entries.filter(e => e._eventSourceMessages))
+    .tap(entries => t.is(entries[0]._eventSourceMessages.length, 0))
+    .tap(entries => t.is(entries[0]._eventSourceMessagesDropped, 1));
+});
+
+test('Includes lifecycle events in pageTimings', t => {
+  const perflogPath = perflog('lifecycle.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log.pages[0])
+    .tap(page => {
+      t.is(page.pageTimings._firstPaint, 176.258);
+      t.is(page.pageTimings._firstContentfulPaint, 176.258);
+      t.is(page.pageTimings._firstMeaningfulPaint, 215.458);
+      t.is(page.pageTimings._domContentLoaded, 168.244);
+      t.is(page.pageTimings._networkIdle, 1284.358);
+    })
+    .tap(page => {
+      const iframeTimings =
+        page._frameTimings['9F6D1A3C2B7E44A8A1F0C5D2E3B4A697'];
+      t.is(iframeTimings._firstContentfulPaint, 230.758);
+      t.is(iframeTimings._networkIdle, 1296.158);
+    });
+});
+
+test('Parses multipart/form-data post data', t => {
+  const perflogPath = perflog('multipart-upload.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log.entries.filter(e => e.request.method === 'POST'))
+    .tap(entries => t.is(entries.length, 3))
+    .tap(entries => {
+      const params = entries[0].request.postData.params;
+      t.deepEqual(params.map(p => p.name), ['title', 'photo', 'notes']);
+      t.is(params[0].value, 'Summer holiday');
+      t.is(params[1].fileName, 'beach.png');
+      t.is(params[1].contentType, 'image/png');
+      t.is(params[2].value, 'first line\r\nsecond line');
+    })
+    .tap(entries => {
+      // Quoted boundary and LF line endings
+      const params = entries[1].request.postData.params;
+      t.deepEqual(params.map(p => p.name), ['user', 'avatar']);
+      t.is(params[1].fileName, 'me.gif');
+    })
+    .tap(entries => {
+      // Malformed body falls back to text
+      const postData = entries[2].request.postData;
+      t.is(postData.params, undefined);
+      t.true(postData.text.endsWith('Cut off in the mi'));
+    });
+});
+
+test('Reads post data entries and marks missing post data', t => {
+  const perflogPath = perflog('post-data.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log.entries.map(e => e.request))
+    .tap(([document, json, upload, unknownUpload]) => {
+      t.is(document.bodySize, 0);
+      t.is(document._postDataMissing, undefined);
+
+      // The entries are joined before decoding, the Å is split between them
+      t.is(json.postData.text, '{"name":"Ånge","city":"Sundsvall"}');
+      t.is(json.bodySize, 35);
+
+      t.is(upload.postData, undefined);
+      t.true(upload._postDataMissing);
+      t.is(upload.bodySize, 1048576);
+      t.true(unknownUpload._postDataMissing);
+      t.is(unknownUpload.bodySize, -1);
+    });
+});
+
+test('Keeps redirected requests', t => {
+  const perflogPath = perflog('www.zdnet.com.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log.entries)
+    .tap(entries => {
+      const redirect = entries.find(e => e._requestId === '76680.210r');
+      t.is(redirect.response.status, 302);
+      const target = entries.find(e => e._requestId === '76680.210');
+      t.is(redirect.response.redirectURL, target.request.url);
+    });
+});
+
+test('Links the entries in a redirect chain', t => {
+  const perflogPath = perflog('www.zdnet.com.json');
+  return parsePerflog(perflogPath)
+    .then(har =>
+      har.log.entries.filter(e => e._redirectChainId === '76680.208')
+    )
+    .tap(chain => {
+      t.deepEqual(chain.map(e => e._redirectIndex), [0, 1, 2]);
+      t.deepEqual(chain.map(e => e._requestId), [
+        '76680.208r',
+        '76680.208rr',
+        '76680.208'
+      ]);
+      t.is(chain[0]._redirectedFrom, undefined);
+      t.is(chain[1]._redirectedFrom, chain[0].request.url);
+      t.is(chain[2]._redirectedFrom, chain[1].request.url);
+      // Redirect responses are received when the next request is sent
+      t.is(chain[0].timings.receive, 70.825);
+      t.true(chain[1].timings.receive > 0);
+    });
+});
+
+test('Collapses redirect chains', t => {
+  const perflogPath = perflog('www.zdnet.com.json');
+  return Promise.all([
+    parsePerflog(perflogPath, { collapseRedirects: true }),
+    parsePerflog(perflogPath)
+  ]).spread((har, defaultHar) => {
+    const chain = defaultHar.log.entries.filter(
+      e => e._redirectChainId === '76680.208'
+    );
+    const collapsed = har.log.entries.filter(
+      e => e._redirectChainId === '76680.208'
+    );
+    t.is(collapsed.length, 1);
+    const entry = collapsed[0];
+    t.is(entry.request.url, chain[2].request.url);
+    t.is(entry.startedDateTime, chain[0].startedDateTime);
+    t.deepEqual(entry._redirects.map(r => r.url), [
+      chain[0].request.url,
+      chain[1].request.url
+    ]);
+    t.deepEqual(entry._redirects.map(r => r.status), [302, 302]);
+    t.is(entry.timings._redirect, 266);
+    t.is(entry.time, chain[2].time + 266);
+    t.is(parser.summarize(har).total.redirects, 72);
+  });
+});
+
+test('Uses headers from extra info events', t => {
+  const perflogPath = perflog('extra-info.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log.entries)
+    .tap(entries => t.is(entries.length, 3))
+    .tap(entries => {
+      // Extra info before the page is created, before the request and after
+      // the response
+      for (const entry of entries) {
+        t.is(entry.request.headers[0].name, ':authority');
+        t.deepEqual(entry.request.cookies.map(c => c.name), ['session']);
+      }
+    })
+    .tap(([document]) => {
+      t.deepEqual(document.request._blockedCookies, [
+        {
+          name: 'tracking',
+          value: 'xyz',
+          domain: '.sitespeed.io',
+          path: '/',
+          blockedReasons: ['SameSiteStrict']
+        }
+      ]);
+      t.deepEqual(document.response.cookies.map(c => c.name), [
+        'visited',
+        'third'
+      ]);
+      t.deepEqual(document.response._blockedCookies, [
+        {
+          name: 'third',
+          value: 'party',
+          cookieLine: 'third=party; SameSite=None',
+          blockedReasons: ['SameSiteNoneInsecure']
+        }
+      ]);
+    });
+});
+
+test('Uses extra info events that arrive late in a redirect chain', t => {
+  const perflogPath = perflog('redirect-extra-info.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log.entries)
+    .tap(([redirect, document]) => {
+      t.is(redirect.response.status, 302);
+      t.is(redirect.response.redirectURL, document.request.url);
+      t.deepEqual(redirect.response.cookies.map(c => c.name), ['hop1']);
+      t.deepEqual(document.request.cookies.map(c => c.name), ['hop1']);
+
+      t.is(document.response.status, 200);
+      t.is(document.response.redirectURL, '');
+      t.deepEqual(document.response.cookies.map(c => c.name), ['hop2']);
+    });
+});
+
+test('Uses headersText from extra info events for header sizes', t => {
+  const perflogPath = perflog('missing-response.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log.entries.find(e => e._requestId === '1000008003.4'))
+    .tap(entry => {
+      t.is(
+        entry.request.headers.find(h => h.name === 'Host').value,
+        'cdn.izettle.com'
+      );
+      t.is(entry.response.headersSize, 601);
+      t.is(
+        entry.response.headersSize + entry.response.bodySize,
+        entry.response._transferSize
+      );
+    });
+});
+
+test('Takes the resource type from the response', t => {
+  const perflogPath = perflog('www.zdnet.com.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log.entries.find(e => e._requestId === '76680.4'))
+    .tap(entry => {
+      // The request was sent with the type Other
+      t.is(entry._resourceType, 'stylesheet');
+    });
+});
+
+test('Includes resource type, service worker and cache source', t => {
+  const perflogPath = perflog('service-worker.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log.entries)
+    .tap(entries => {
+      t.deepEqual(entries.map(e => e._resourceType).slice(0, 3), [
+        'document',
+        'image',
+        'image'
+      ]);
+      t.deepEqual(entries.map(e => e._fromServiceWorker).slice(0, 3), [
+        false,
+        true,
+        false
+      ]);
+      t.deepEqual(entries.map(e => e._fromCache).slice(0, 3), [
+        undefined,
+        undefined,
+        'prefetch'
+      ]);
+    })
+    .tap(([, serviceWorker]) => {
+      t.is(serviceWorker.timings._serviceWorkerStartup, 11.277);
+      t.is(serviceWorker.timings._serviceWorkerRequest, 0.577);
+      t.is(serviceWorker.timings._serviceWorkerRespondWith, 27.107);
+    });
+});
+
+test('Includes memory and disk cache source', t => {
+  const perflogPath = perflog('www.zdnet.com.json');
+  return parsePerflog(perflogPath, { includeResourcesFromDiskCache: true })
+    .then(har => har.log.entries.filter(e => e._fromCache))
+    .tap(entries => {
+      t.is(entries.filter(e => e._fromCache === 'disk').length, 5);
+      t.is(entries.filter(e => e._fromCache === 'memory').length, 3);
+    });
+});
+
+test('Includes security details', t => {
+  const perflogPath = perflog('www.sitepeed.io.chrome66.json');
+  return parsePerflog(perflogPath, { includeSecurityDetails: true })
+    .then(har => har.log.entries[0])
+    .tap(entry => {
+      t.is(entry._securityState, 'secure');
+      t.deepEqual(entry._securityDetails, {
+        protocol: 'TLS 1.2',
+        keyExchange: 'ECDHE_RSA',
+        keyExchangeGroup: 'P-256',
+        cipher: 'AES_128_GCM',
+        subjectName: 'www.sitespeed.io',
+        sanList: ['sitespeed.io', 'www.sitespeed.io'],
+        issuer: "Let's Encrypt Authority X3",
+        validFrom: '2018-02-15T18:38:24.000Z',
+        validTo: '2018-05-16T18:38:24.000Z'
+      });
+    });
+});
+
+test('Skips security details by default', t => {
+  const perflogPath = perflog('www.sitepeed.io.chrome66.json');
+  return parsePerflog(perflogPath)
+    .then(har => har.log.entries)
+    .tap(entries => {
+      t.false(entries.some(e => e._securityDetails || e._securityState));
+    });
+});
+
+test('Includes body chunks', t => {
+  const perflogPath = perflog('www.sitepeed.io.chrome66.json');
+  return parsePerflog(perflogPath, { includeChunks: true })
+    .then(har => har.log.entries.find(e => e._requestId === '180.5'))
+    .tap(entry => {
+      t.deepEqual(entry._chunks, [
+        { ts: 62.793, bytes: 16384, encodedBytes: 16402 },
+        { ts: 82.517, bytes: 16384, encodedBytes: 16393 },
+        { ts: 85.399, bytes: 17517, encodedBytes: 17526 }
+      ]);
+      t.is(entry._timeToFirstBodyByte, 62.793);
+      t.is(entry._averageThroughput, 1450895);
+    });
+});
+
+test('Summarizes HARs', t => {
+  const perflogPath = perflog('www.zdnet.com.json');
+  return parsePerflog(perflogPath)
+    .then(har => parser.summarize(har))
+    .tap(summary => {
+      t.is(summary.pages.length, 1);
+      t.is(summary.pages[0].id, 'page_1');
+      t.is(summary.pages[0].requests, summary.total.requests);
+    })
+    .then(summary => summary.total)
+    .tap(total => {
+      t.is(total.requests, 343);
+      t.is(total.transferSize, 3230606);
+      t.is(total.byType.image.requests, 129);
+      t.is(total.byDomain['www.zdnet.com'].requests, 3);
+      t.is(total.firstParty.requests, 3);
+      t.is(total.thirdParty.requests, 340);
+      t.is(total.redirects, 72);
+      t.deepEqual(total.httpVersions, {
+        'http/1.1': 268,
+        'http/1.0': 31,
+        h2: 44
+      });
+      t.deepEqual(total.connections, { opened: 160, reused: 183 });
+      t.deepEqual(total.cache, { hits: 0, misses: 343, hitRatio: 0 });
+      t.is(total.criticalPathDuration, 1111.215);
+    });
+});
+
+test('Summarizes first and third party requests by public suffix', t => {
+  const perflogPath = perflog('www.sitepeed.io.chrome66.json');
+  return parsePerflog(perflogPath)
+    .tap(har => {
+      const urls = [
+        'https://www.bbc.co.uk/',
+        'https://static.bbc.co.uk/logo.png',
+        'https://www.other.co.uk/pixel.gif',
+        'https://127.0.0.1/image.png'
+      ];
+      har.log.entries.forEach((entry, index) => {
+        entry.request.url = urls[index % urls.length];
+      });
+    })
+    .then(har => parser.summarize(har).total)
+    .tap(total => {
+      // www.other.co.uk isn't first party just because it's under co.uk
+      t.is(total.requests, 9);
+      t.is(total.firstParty.requests, 5);
+      t.is(total.thirdParty.requests, 4);
+    });
+});
+
+test('Links entries to the entry that caused them', t => {
+  const perflogPath = perflog('www.zdnet.com.json');
+  return parsePerflog(perflogPath).tap(har => {
+    const entries = har.log.entries;
+    const document = entries[0];
+    t.is(document._parentEntry, undefined);
+    t.is(document._depth, 0);
+
+    // document -> boomr.js -> boomerang -> config.js
+    const config = entries.find(entry =>
+      entry.request.url.includes('boomerang/config.js')
+    );
+    t.is(config._depth, 3);
+    t.is(config._parentEntry, '76680.47');
+
+    // Redirects are linked to the request that was redirected
+    const chain = entries.filter(e => e._redirectChainId === '76680.208');
+    t.deepEqual(chain.map(entry => entry._parentEntry), [
+      undefined,
+      '76680.208r',
+      '76680.208rr'
+    ]);
+    // Each parent is a single entry
+    for (const entry of entries.filter(e => e._parentEntry)) {
+      t.is(entries.filter(e => e._requestId === entry._parentEntry).length, 1);
+    }
+
+    const tree = parser.dependencyTree(har);
+    t.is(tree.pages.length, 1);
+    const root = tree.pages[0].children[0];
+    t.is(root.entry, document);
+    t.is(
+      root.children.length,
+      entries.filter(entry => entry._parentEntry === '76680.2').length
+    );
+  });
+});
+
+test('Summarizes errors and cache hits', t => {
+  const perflogPath = perflog('missing-response.json');
+  return parsePerflog(perflogPath, {
+    includeFailedRequests: true,
+    includeResourcesFromDiskCache: true
+  })
+    .then(har => parser.summarize(har).total)
+    .tap(total => {
+      t.deepEqual(total.errors, { 0: 3 });
+      t.deepEqual(total.cache, { hits: 12, misses: 41, hitRatio: 0.226 });
+    });
+});
+
+test('Includes diagnostics', t => {
+  const perflogPath = perflog('missing-response.json');
+  return parsePerflog(perflogPath, { includeDiagnostics: true })
+    .then(har => har.log._diagnostics)
+    .tap(diagnostics => {
+      const failed = diagnostics.issues.filter(
+        issue => issue.code === 'failed-request'
+      );
+      t.is(failed.length, 4);
+      t.deepEqual(failed[0], {
+        code: 'failed-request',
+        severity: 'info',
+        description:
+          "Failed to load url 'https://cdn.izettle.com/inugami/vendor.5876868235e5d68d900c.js' (canceled: true)",
+        method: 'Network.loadingFailed',
+        requestId: '1000008003.8',
+        url: 'https://cdn.izettle.com/inugami/vendor.5876868235e5d68d900c.js'
+      });
+      t.is(
+        diagnostics.issues.filter(issue => issue.code === 'incomplete-request')
+          .length,
+        34
+      );
+      t.is(diagnostics.ignoredEvents['Page.frameNavigated'], 2);
+    });
+});
+
+test('Redacts diagnostics', t => {
+  const perflogPath = perflog('missing-response.json');
+  return parsePerflog(perflogPath, {
+    includeDiagnostics: true,
+    redact: { patterns: [/cdn\.izettle\.com/] }
+  }).tap(har => {
+    t.false(JSON.stringify(har).includes('cdn.izettle.com'));
+    const failed = har.log._diagnostics.issues.find(
+      issue => issue.code === 'failed-request'
+    );
+    t.is(
+      failed.url,
+      'https://[REDACTED]/inugami/vendor.5876868235e5d68d900c.js'
+    );
+    t.true(failed.description.includes('https://[REDACTED]/inugami/'));
+  });
+});
+
+test('Snapshots do not add diagnostics to the builder', t => {
+  return fs
+    .readFileAsync(perflog('missing-response.json'))
+    .then(JSON.parse)
+    .then(messages => {
+      const builder = new parser.HarBuilder({ includeDiagnostics: true });
+      builder.addMessages(messages);
+      const snapshot = builder.snapshot();
+      builder.snapshot();
+      t.deepEqual(
+        builder.finalize().log._diagnostics,
+        snapshot.log._diagnostics
+      );
+      t.is(parser.harFromMessages(messages).log._diagnostics, undefined);
+    });
+});
+
+test('Generates deterministic HARs', t => {
+  const perflogPath = perflog('www.zdnet.com.json');
+  const options = { deterministic: true };
+  return Promise.all([
+    parsePerflog(perflogPath, options),
+    parsePerflog(perflogPath, options)
+  ]).spread((har, otherHar) => {
+    t.is(JSON.stringify(har), JSON.stringify(otherHar));
+    t.deepEqual(har.log.creator, {
+      name: 'chrome-har',
+      version: '',
+      comment: 'https://github.com/sitespeedio/chrome-har'
+    });
+    const entries = har.log.entries;
+    for (let i = 1; i < entries.length; ++i) {
+      const previous = entries[i - 1],
+        entry = entries[i];
+      t.true(
+        previous.startedDateTime < entry.startedDateTime ||
+          (previous.startedDateTime === entry.startedDateTime &&
+            previous._requestId < entry._requestId)
+      );
+    }
+    // Sums of timings are rounded too
+    t.false(
+      /\d\.\d{4,}/.test(JSON.stringify(entries.map(entry => entry.time)))
+    );
+  });
+});
+
+test('Uses the creator option', t => {
+  const perflogPath = perflog('www.sitepeed.io.chrome66.json');
+  return parsePerflog(perflogPath, {
+    creator: { name: 'my-crawler', version: '1.2.3' }
+  }).tap(har =>
+    t.deepEqual(har.log.creator, {
+      name: 'my-crawler',
+      version: '1.2.3',
+      comment: 'https://github.com/sitespeedio/chrome-har'
+    })
+  );
+});
+
+test('Creates a page for every navigation', t => {
+  const perflogPath = perflog('spa-navigation.json');
+  return parsePerflog(perflogPath, { pageStrategy: 'every-navigation' })
+    .then(har => har.log)
+    .tap(log => {
+      t.deepEqual(log.pages.map(page => page.title), [
+        'https://www.sitespeed.io/',
+        'https://www.sitespeed.io/#/documentation',
+        'https://www.sitespeed.io/documentation/'
+      ]);
+      t.is(log.pages[0].pageTimings.onLoad, 284.327);
+      t.is(log.pages[2].pageTimings.onLoad, 400);
+    })
+    .then(log => log.entries.slice(-3))
+    .tap(([xhr, inFlightXhr, document]) => {
+      t.is(xhr.pageref, 'page_2');
+      // Requests belong to the page they were sent from, but the request
+      // that starts a navigation belongs to the new page
+      t.is(inFlightXhr.pageref, 'page_2');
+      t.is(document.pageref, 'page_3');
+    });
+});
+
+test('Keeps responses and load events on the page they belong to', t => {
+  const perflogPath = perflog('spa-route-change.json');
+  return parsePerflog(perflogPath, { pageStrategy: 'every-navigation' })
+    .then(har => har.log)
+    .tap(log => {
+      // The URL is replaced before the document has loaded
+      t.deepEqual(log.pages.map(page => page.pageTimings), [
+        { onContentLoad: 400, onLoad: 600 },
+        {}
+      ]);
+      // The XHR response arrives before the new page has sent any request
+      const xhr = log.entries.find(e => e.request.url.endsWith('session.json'));
+      t.is(xhr.pageref, 'page_1');
+      t.is(xhr.startedDateTime, '2018-03-27T20:45:00.260Z');
+      // The redirect response as well, the next request is on the new page
+      const [redirect, login] = log.entries.filter(e =>
+        e.request.url.includes('login')
+      );
+      t.is(redirect.pageref, 'page_1');
+      t.is(redirect.startedDateTime, '2018-03-27T20:45:00.280Z');
+      t.is(login.pageref, 'page_2');
+    });
+});
+
+test('Creates pages with a pageStrategy function', t => {
+  const perflogPath = perflog('spa-navigation.json');
+  const pageStrategy = (message, { hasPage }) =>
+    !hasPage || message.method === 'Page.navigatedWithinDocument';
+  return Promise.all([
+    parsePerflog(perflogPath, { pageStrategy }),
+    parsePerflog(perflogPath)
+  ]).spread((har, rootFrameHar) => {
+    t.is(har.log.pages.length, 2);
+    t.is(har.log.entries[har.log.entries.length - 1].pageref, 'page_2');
+    t.is(rootFrameHar.log.pages.length, 1);
+    t.throws(
+      () => parser.harFromMessages([], { pageStrategy: 'every-frame' }),
+      "Unknown pageStrategy 'every-frame'"
+    );
+  });
+});
+
+test('Tracks cookies across the session', t => {
+  return Promise.all([
+    parsePerflog(perflog('www.google.com.json'), { trackCookies: true }),
+    parsePerflog(perflog('extra-info.json'), { trackCookies: true }),
+    parsePerflog(perflog('www.google.com.json'))
+  ]).spread((har, extraInfoHar, defaultHar) => {
+    const redirect = har.log.entries.find(e => e._requestId === '18440.11r');
+    const document = har.log.entries.find(e => e._requestId === '18440.11');
+    const origin = {
+      requestId: '18440.11r',
+      url: 'http://www.google.se/?gfe_rd=cr&ei=8ZS9WLfABubk8AfdtpKYCw'
+    };
+    t.deepEqual(redirect.response.cookies[0]._origin, origin);
+
+    // The cookie set by the redirect is sent with the next request
+    const cookie = document.request.cookies.find(c => c.name === 'CONSENT');
+    t.is(cookie.domain, 'google.se');
+    t.is(cookie.path, '/');
+    t.is(cookie.expires, '2038-01-01T00:00:00.000Z');
+    t.false(cookie.httpOnly);
+    t.deepEqual(cookie._origin, origin);
+
+    const [response] = extraInfoHar.log.entries.map(e => e.response);
+    t.is(response.cookies.find(c => c.name === 'third').sameSite, 'None');
+
+    const defaultDocument = defaultHar.log.entries.find(
+      e => e._requestId === '18440.11'
+    );
+    t.is(defaultDocument.request.cookies[0].domain, undefined);
+    t.is(defaultDocument.request.cookies[0]._origin, undefined);
+  });
+});
+
+test('Redacts sensitive data', t => {
+  const perflogPath = perflog('run.sitespeed.io.json');
+  return parsePerflog(perflogPath, {
+    redact: {
+      headers: ['User-Agent'],
+      cookies: ['_ga'],
+      params: ['cid'],
+      patterns: [/UA-\d+-\d+/]
+    }
+  })
+    .then(har => har.log.entries)
+    .tap(([document, analytics]) => {
+      t.deepEqual(document.request.cookies.map(c => c.value), [
+        '[REDACTED]',
+        '1'
+      ]);
+      const cookieHeader = document.request.headers.find(
+        h => h.name === 'cookie'
+      );
+      t.is(cookieHeader.value, '_ga=[REDACTED]; _gat=1');
+      t.is(
+        document.request.headers.find(h => h.name === 'user-agent').value,
+        '[REDACTED]'
+      );
+      t.deepEqual(document._redacted, ['request.headers', 'request.cookies']);
+
+      t.false(analytics.request.url.includes('1853622200'));
+      t.true(analytics.request.url.includes('&cid=[REDACTED]&'));
+      t.true(analytics.request.url.includes('&tid=[REDACTED]&'));
+      t.is(
+        analytics.request.queryString.find(p => p.name === 'cid').value,
+        '[REDACTED]'
+      );
+      t.deepEqual(analytics._redacted, [
+        'request.headers',
+        'request.queryString',
+        'request.url'
+      ]);
+    });
+});
+
+test('Redacts blocked cookies', t => {
+  const perflogPath = perflog('extra-info.json');
+  return parsePerflog(perflogPath, {
+    redact: { cookies: ['third'], patterns: [/xyz/] }
+  })
+    .then(har => har.log.entries[0])
+    .tap(document => {
+      t.is(document.request._blockedCookies[0].value, '[REDACTED]');
+      t.deepEqual(document.response._blockedCookies[0], {
+        name: 'third',
+        value: '[REDACTED]',
+        cookieLine: 'third=[REDACTED]; SameSite=None',
+        blockedReasons: ['SameSiteNoneInsecure']
+      });
+      t.true(document._redacted.includes('request._blockedCookies'));
+      t.true(document._redacted.includes('response._blockedCookies'));
+    });
+});
+
+test('Redacts post data', t => {
+  const perflogPath = perflog('multipart-upload.json');
+  return parsePerflog(perflogPath, {
+    redact: { params: ['notes', 'title'], replacement: '***' }
+  })
+    .then(har => har.log.entries.filter(e => e.request.method === 'POST'))
+    .tap(entries => {
+      const params = entries[0].request.postData.params;
+      t.is(params[0].value, '***');
+      t.is(params[2].value, '***');
+      t.is(entries[0].request.bodySize, 461);
+      t.deepEqual(entries[0]._redacted, ['request.postData']);
+      t.is(entries[1]._redacted, undefined);
+      // Multipart text that couldn't be parsed has no name=value pairs
+      t.true(entries[2].request.postData.text.endsWith('Cut off in the mi'));
+    });
+});
+
+test('Records HARs from a CDP session', t => {
+  const perflogPath = perflog('www.sitepeed.io.chrome66.json');
+  return readPerflog(perflogPath).then(messages => {
+    const session = fakeSession(messages);
+    return Promise.resolve(parser.recordHar(session))
+      .tap(() => session.replay())
+      .then(recorder =>
+        recorder.stop().then(har => {
+          t.deepEqual(session.commands, [
+            'Page.enable',
+            'Network.enable',
+            'Page.setLifecycleEventsEnabled'
+          ]);
+          t.deepEqual(har, parser.harFromMessages(messages));
+          // Messages after stop are ignored
+          session.replay();
+          return recorder.stop();
+        })
+      )
+      .then(har => t.is(har.log.entries.length, 9));
+  });
+});
+
+test('Records response and request bodies from a CDP session', t => {
+  const options = {
+    includeTextFromResponseBody: true,
+    excludeBodyMimeTypes: ['font/*'],
+    fetchRequestBodies: true
+  };
+  return Promise.all([
+    readPerflog(perflog('response-bodies.json')),
+    readPerflog(perflog('post-data.json'))
+  ]).spread((bodyMessages, postDataMessages) => {
+    // The bodies are only returned by Network.getResponseBody
+    const bodies = new Map();
+    const messages = JSON.parse(
+      JSON.stringify(bodyMessages.concat(postDataMessages))
+    );
+    for (const message of messages) {
+      if (message.method === 'Network.responseReceived') {
+        const response = message.params.response;
+        if (response.body !== undefined) {
+          bodies.set(message.params.requestId, {
+            body: response.body,
+            base64Encoded: response.base64Encoded === true
+          });
+        }
+        delete response.body;
+        delete response.base64Encoded;
+      }
+    }
+    const session = fakeSession(messages, (method, params) => {
+      switch (method) {
+        case 'Network.getResponseBody':
+          return bodies.get(params.requestId);
+        case 'Network.getRequestPostData':
+          return params.requestId === '2000.4'
+            ? { postData: 'AAEC', base64Encoded: true }
+            : undefined;
+        default:
+          return {};
+      }
+    });
+
+    return Promise.resolve(parser.recordHar(session, options))
+      .tap(() => session.replay())
+      .then(recorder => recorder.stop())
+      .tap(har => {
+        const entries = har.log.entries;
+        const expected = parser.harFromMessages(bodyMessages, options);
+        t.deepEqual(
+          entries.slice(0, 4).map(e => e.response.content),
+          expected.log.entries.map(e => e.response.content)
+        );
+        t.is(entries[1].response.content.encoding, 'base64');
+        t.is(entries[2].response.content.text, undefined);
+        // The body of the font isn't fetched
+        t.is(
+          session.commands.filter(c => c === 'Network.getResponseBody').length,
+          7
+        );
+
+        const [, , upload, fetchedUpload] = entries
+          .slice(4)
+          .map(e => e.request);
+        t.true(upload._postDataMissing);
+        t.is(fetchedUpload._postDataMissing, undefined);
+        t.is(fetchedUpload.bodySize, 3);
+      });
+  });
+});
+
+test('Command line tool reads stdin and writes stdout', t => {
+  const result = cli(
+    ['--compact', '--validate'],
+    fs.readFileSync(perflog('www.sitepeed.io.chrome66.json'))
+  );
+  t.is(result.status, 0);
+  const har = JSON.parse(result.stdout);
+  t.is(har.log.entries.length, 9);
+  t.is(result.stdout.split('\n').length, 2);
+});
+
+test('Command line tool writes HARs for globs to a directory', t => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-har-'));
+  const result = cli([
+    '--include-failed',
+    '--output-dir',
+    outputDir,
+    perflog('www.wikipedia.org*.json')
+  ]);
+  t.is(result.status, 0);
+  const files = fs.readdirSync(outputDir);
+  for (const file of files) {
+    fs.unlinkSync(path.join(outputDir, file));
+  }
+  fs.rmdirSync(outputDir);
+  t.deepEqual(files.sort(), [
+    'www.wikipedia.org-empty.har',
+    'www.wikipedia.org.har'
+  ]);
+});
+
+test('Command line tool fails for inputs with the same name', t => {
+  const inputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-har-'));
+  const input = path.join(inputDir, 'ryan.json');
+  fs.copyFileSync(perflog('ryan.json'), input);
+  const result = cli(['--output-dir', inputDir, perflog('ryan.json'), input]);
+  fs.unlinkSync(input);
+  fs.rmdirSync(inputDir);
+  t.is(result.status, 2);
+  t.true(result.stderr.includes('would both be written to'));
+});
+
+test('Command line tool fails with clear messages', t => {
+  const invalidJson = cli([], '{');
+  t.is(invalidJson.status, 1);
+  t.true(invalidJson.stderr.includes("Couldn't parse stdin as JSON"));
+
+  const missingFile = cli([perflog('missing.json')]);
+  t.is(missingFile.status, 1);
+  t.true(missingFile.stderr.includes('No such file'));
+
+  const unknownOption = cli(['--unknown']);
+  t.is(unknownOption.status, 2);
+  t.true(unknownOption.stderr.includes('Unknown option --unknown'));
+});
+
+test('Accepts ChromeDriver performance logs', t => {
+  const perflogPath = perflog('www.sitepeed.io.chrome66.json');
+  return fs
+    .readFileAsync(perflogPath)
+    .then(JSON.parse)
+    .then(messages => {
+      const chromeDriverLog = messages.map((message, index) => ({
+        level: 'INFO',
+        timestamp: 1522183389723 + index,
+        message: JSON.stringify({ message, webview: 'CDwindow-1234' })
+      }));
+      const har = parser.harFromMessages(chromeDriverLog);
+      t.is(har.log.pages[0]._webview, 'CDwindow-1234');
+
+      delete har.log.pages[0]._webview;
+      t.deepEqual(har, parser.harFromMessages(messages));
+    });
+});
+
+test('Accepts raw protocol messages', t => {
+  const perflogPath = perflog('www.sitepeed.io.chrome66.json');
+  return fs
+    .readFileAsync(perflogPath)
+    .then(JSON.parse)
+    .then(messages => {
+      const protocolMessages = messages.map(message =>
+        JSON.stringify(Object.assign({ sessionId: 'ABC' }, message))
+      );
+      protocolMessages.splice(1, 0, '{"id":1,"result":{}}');
+      const har = parser.harFromMessages(protocolMessages);
+      t.is(
+        JSON.stringify(har.log.entries),
+        JSON.stringify(parser.harFromMessages(messages).log.entries)
+      );
+    });
+});
+
+test('Generates HARs from traces', t => {
+  const tracePath = path.resolve(__dirname, 'traces', 'example.com.json');
+  return fs
+    .readFileAsync(tracePath)
+    .then(JSON.parse)
+    .then(trace => parser.harFromTrace(trace))
+    .tap(har => validator.har(har))
+    .then(har => har.log)
+    .tap(log => {
+      t.is(log.pages.length, 1);
+      t.is(log.pages[0].startedDateTime, '2019-10-20T10:21:54.125Z');
+      t.is(log.pages[0].pageTimings.onLoad, 238);
+      t.is(log.pages[0].pageTimings.onContentLoad, 158);
+    })
+    .tap(log => {
+      t.deepEqual(log.entries.map(e => e.request.url), [
+        'https://www.example.com/',
+        'https://www.example.com/app.js',
+        'https://ads.example.net/frame.html',
+        'https://ads.example.net/pixel.gif'
+      ]);
+      const document = log.entries[0];
+      t.is(document.timings.dns, 11.5);
+      t.is(document.timings.wait, 17.6);
+      t.is(document.response.content.size, 40122);
+      t.is(document.response._transferSize, 11523);
+    });
+});
+
+test('Command line tool detects traces', t => {
+  const result = cli([
+    '--output',
+    '-',
+    path.resolve(__dirname, 'traces', 'example.com.json')
+  ]);
+  t.is(result.status, 0);
+  t.is(JSON.parse(result.stdout).log.entries.length, 4);
+});
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+ * Measure how long it takes to create a HAR from large synthetic perflogs,
+ * like the ones you get from long sessions in a single page application.
+ * Each size is timed with the entries indexed by request id and with the
+ * linear search through all entries that was used before, to show how the
+ * time grows with the number of requests.
+ *
+ * Usage: tools/benchmark.js [numbers of requests, default 1000 5000 20000]
+ */
+
+const { HarBuilder } = require('..');
+
+const requestCounts = process.argv.slice(2).map(Number);
+if (requestCounts.length === 0) {
+  requestCounts.push(1000, 5000, 20000);
+}
+// Number of requests that are in flight at the same time
+const concurrency = 6;
+const frameId = 'B6A0FB3F6F1B4F26A7B6F0C0AF39E3A1';
+const startTime = 1000;
+const startWallTime = 1540000000;
+
+function requestMessages(index) {
+  const requestId = `1000.${index}`;
+  const timestamp = startTime + index * 0.01;
+  const url = `https://www.example.com/api/items/${index}?page=${index % 50}`;
+  const messages = [
+    {
+      method: 'Network.requestWillBeSent',
+      params: {
+        requestId,
+        frameId,
+        timestamp,
+        wallTime: startWallTime + index * 0.01,
+        initiator: { type: 'other' },
+        request: {
+          url,
+          method: 'GET',
+          headers: { Accept: 'application/json', Cookie: 'session=1' },
+          initialPriority: 'High'
+        }
+      }
+    },
+    {
+      method: 'Network.responseReceived',
+      params: {
+        requestId,
+        frameId,
+        timestamp: timestamp + 0.02,
+        response: {
+          url,
+          status: 200,
+          statusText: 'OK',
+          protocol: 'http/1.1',
+          mimeType: 'application/json',
+          headers: { 'Content-Type': 'application/json' },
+          connectionId: index % concurrency,
+          remoteIPAddress: '93.184.216.34',
+          encodedDataLength: 120,
+          timing: {
+            requestTime: timestamp,
+            dnsStart: -1,
+            dnsEnd: -1,
+            connectStart: -1,
+            connectEnd: -1,
+            sslStart: -1,
+            sslEnd: -1,
+            sendStart: 0.5,
+            sendEnd: 0.6,
+            receiveHeadersEnd: 20
+          }
+        }
+      }
+    },
+    {
+      method: 'Network.dataReceived',
+      params: {
+        requestId,
+        timestamp: timestamp + 0.021,
+        dataLength: 1024,
+        encodedDataLength: 400
+      }
+    }
+  ];
+
+  if (index % 100 === 99) {
+    messages.push({
+      method: 'Network.loadingFailed',
+      params: {
+        requestId,
+        timestamp: timestamp + 0.022,
+        errorText: 'net::ERR_ABORTED',
+        canceled: true
+      }
+    });
+  } else {
+    messages.push({
+      method: 'Network.loadingFinished',
+      params: {
+        requestId,
+        timestamp: timestamp + 0.022,
+        encodedDataLength: 520
+      }
+    });
+  }
+  return messages;
+}
+
+// Looks up entries the way it was done before they were indexed
+class LinearSearchHarBuilder extends HarBuilder {
+  _findEntry(requestId) {
+    return this._entries.find(
+      entry => entry._requestId === requestId && !entry.__removed
+    );
+  }
+}
+
+function createMessages(requestCount) {
+  const messages = [
+    { method: 'Page.frameStartedLoading', params: { frameId } }
+  ];
+  for (let i = 0; i < requestCount; i += concurrency) {
+    const batch = [];
+    for (let j = i; j < Math.min(i + concurrency, requestCount); ++j) {
+      batch.push(requestMessages(j));
+    }
+    // Interleave the events of requests that are in flight at the same time
+    for (let step = 0; step < batch[0].length; ++step) {
+      for (const request of batch) {
+        messages.push(request[step]);
+      }
+    }
+  }
+  return messages;
+}
+
+function time(Builder, messages) {
+  const start = process.hrtime();
+  const har = new Builder().addMessages(messages).finalize();
+  const [seconds, nanos] = process.hrtime(start);
+  return { har, millis: (seconds * 1000 + nanos / 1e6).toFixed(0) };
+}
+
+for (const requestCount of requestCounts) {
+  const messages = createMessages(requestCount);
+  const indexed = time(HarBuilder, messages);
+  const linear = time(LinearSearchHarBuilder, messages);
+  console.log(
+    `${requestCount} requests, ${indexed.har.log.entries.length} entries from ${
+      messages.length
+    } messages: ${indexed.millis} ms indexed, ${
+      linear.millis
+    } ms with linear search`
+  );
+}